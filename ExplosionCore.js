@@ -0,0 +1,4814 @@
+// ============================================================================
+// EXPLOSION CORE
+// ============================================================================
+// Framework-agnostic half of the explosion engine: class registry,
+// generation, a headless simulation stepped as plain data, the shared
+// particle / decal / light systems and the ExplosionEngine class that draws
+// every explosion with three.js objects.
+// ExplosionEngine.jsx renders through it; tools without React use it
+// directly (see ExplosionEngine-demo.html).
+import {
+  Vector3,
+  MathUtils,
+  Color,
+  AdditiveBlending,
+  NormalBlending,
+  DoubleSide,
+  Group,
+  Mesh,
+  InstancedMesh,
+  InstancedBufferAttribute,
+  DynamicDrawUsage,
+  SphereGeometry,
+  IcosahedronGeometry,
+  RingGeometry,
+  BoxGeometry,
+  TetrahedronGeometry,
+  PlaneGeometry,
+  MeshBasicMaterial,
+  MeshStandardMaterial,
+  PointLight,
+  Raycaster,
+  Matrix4,
+  Quaternion,
+  Euler,
+  Box3,
+  Matrix3,
+  Vector2,
+  DataTexture,
+  RGBAFormat,
+  LinearFilter,
+  WebGLRenderTarget,
+  DepthTexture,
+} from 'three';
+
+// ============================================================================
+// CONSTANTS & CONFIGURATION
+// ============================================================================
+const EXPLOSION_CONFIG = {
+  // Explosion Classes
+  CLASSES: {
+    SMALL: {
+      name: 'SMALL',
+      particleCount: 15,
+      shockwaveScale: 3,
+      duration: 800,
+      wreckagePieces: 1,
+      wreckageScale: [0.4, 0.25, 0.6],
+      cameraShake: 0.1,
+      lightIntensity: 8,
+      lightDistance: 15,
+      blastRadius: 3,
+      blastDamage: 10,
+      blastImpulse: 6,
+      soundVolume: 0.5,
+      soundPitch: 1.4,
+      screenFlash: 0.2,
+      heatHaze: 0.6,
+      bloomBoost: 0.3,
+    },
+    MEDIUM: {
+      name: 'MEDIUM',
+      particleCount: 30,
+      shockwaveScale: 5,
+      duration: 1000,
+      wreckagePieces: 2,
+      wreckageScale: [0.6, 0.35, 0.9],
+      cameraShake: 0.25,
+      lightIntensity: 15,
+      lightDistance: 25,
+      blastRadius: 5,
+      blastDamage: 25,
+      blastImpulse: 10,
+      soundVolume: 0.7,
+      soundPitch: 1,
+      screenFlash: 0.4,
+      heatHaze: 1,
+      bloomBoost: 0.5,
+    },
+    LARGE: {
+      name: 'LARGE',
+      particleCount: 50,
+      shockwaveScale: 8,
+      duration: 1400,
+      wreckagePieces: 4,
+      cameraShake: 0.5,
+      wreckageScale: [1.0, 0.5, 1.4],
+      lightIntensity: 25,
+      lightDistance: 40,
+      blastRadius: 8,
+      blastDamage: 50,
+      blastImpulse: 16,
+      soundVolume: 0.85,
+      soundPitch: 0.8,
+      screenFlash: 0.7,
+      heatHaze: 1.3,
+      bloomBoost: 0.8,
+    },
+    BOSS: {
+      name: 'BOSS',
+      particleCount: 100,
+      shockwaveScale: 15,
+      duration: 2500,
+      wreckagePieces: 8,
+      wreckageScale: [1.5, 0.8, 2.0],
+      cameraShake: 1.0,
+      lightIntensity: 50,
+      lightDistance: 60,
+      blastRadius: 15,
+      blastDamage: 100,
+      blastImpulse: 30,
+      soundVolume: 1,
+      soundPitch: 0.6,
+      screenFlash: 1,
+      heatHaze: 1.8,
+      bloomBoost: 1.2,
+      chainExplosions: true,
+      chainCount: 5,
+      chainDelay: 200,
+    },
+  },
+
+  // Wreckage Physics
+  WRECKAGE: {
+    GRAVITY: 15,
+    ROTATION_SPEED: { min: 2, max: 8 },
+    INITIAL_VELOCITY: { min: 3, max: 8 },
+    SPREAD_ANGLE: Math.PI / 6,
+    SMOKE_EMIT_RATE: 0.03,
+    SMOKE_PARTICLE_COUNT: 30,
+    GROUND_Y: -5,
+    SECONDARY_EXPLOSION_SCALE: 0.4,
+    // Collision response
+    RESTITUTION: 0.35,     // Share of impact speed kept when bouncing
+    FRICTION: 0.5,         // Coulomb friction against colliders and ground
+    BOUNCE_SPEED: 2,       // Slower impacts slide instead of bouncing
+    REST_SPEED: 0.6,       // Pieces in contact and slower than this come to rest
+    // Seconds a piece at rest stays as a smoking hulk (0 despawns on rest)
+    HULK_DURATION: 0,
+    HULK_SMOKE_RATE: 0.15,
+    SHARD_COUNT: 6,        // Procedural shards per { shards } wreckage source
+    MAX_MOTION: 10,        // Seconds a piece may keep moving before it despawns (zero gravity)
+  },
+
+  // Share of an explosion's inheritVelocity each part keeps (per-class
+  // override: velocityInheritance)
+  VELOCITY_INHERITANCE: {
+    particles: 0.8,
+    smoke: 0.4,
+    wreckage: 1,
+    chains: 1,
+  },
+
+  // Particle System
+  PARTICLES: {
+    LIFETIME: { min: 0.3, max: 1.2 },
+    SPEED: { min: 8, max: 25 },
+    SIZE: { min: 0.1, max: 0.6 },
+    COLORS: {
+      CORE: ['#ffffff', '#ffffa0', '#ffff00'],
+      FIRE: ['#ff8800', '#ff4400', '#ff2200'],
+      SMOKE: ['#444444', '#333333', '#222222', '#111111'],
+      SPARK: ['#ffff88', '#ffaa44', '#ff6600'],
+      BUBBLE: ['#d8f4ff', '#a8dcec', '#7fc4d8'],
+    },
+    // Per-type emitter presets: drag is applied per 60Hz frame, gravity is
+    // upward acceleration, palette names a COLORS list. Ranges left out fall
+    // back to LIFETIME / SPEED / SIZE above.
+    TYPES: {
+      core: {
+        drag: 1, gravity: 0, blending: 'additive', palette: 'CORE',
+        speed: { min: 12, max: 37.5 }, size: { min: 0.05, max: 0.3 },
+      },
+      fire: { drag: 0.96, gravity: 2, blending: 'additive', palette: 'FIRE' },
+      spark: { drag: 0.98, gravity: -15, blending: 'additive', palette: 'SPARK' },
+      smoke: {
+        drag: 0.92, gravity: 1, blending: 'normal', palette: 'SMOKE',
+        speed: { min: 2.4, max: 7.5 }, size: { min: 0.2, max: 1.2 }, lifetime: { min: 0.6, max: 2.4 },
+      },
+      trail: {
+        drag: 0.95, gravity: 0.8, blending: 'normal', palette: 'SMOKE',
+        lifetime: { min: 0.8, max: 1.5 }, opacity: 0.6, profile: 'trail',
+      },
+      // Afterburn: licking flames and the smoke column above them
+      flame: {
+        drag: 0.9, gravity: 4, blending: 'additive', palette: 'FIRE',
+        speed: { min: 0.5, max: 2 }, size: { min: 0.3, max: 0.8 }, lifetime: { min: 0.3, max: 0.8 },
+      },
+      column: {
+        drag: 0.98, gravity: 0, blending: 'normal', palette: 'SMOKE',
+        size: { min: 0.8, max: 1.8 }, lifetime: { min: 3, max: 5 }, opacity: 0.5, profile: 'trail',
+      },
+      // Underwater stand-in for smoke (see ENVIRONMENTS)
+      bubble: {
+        drag: 0.92, gravity: 10, blending: 'normal', palette: 'BUBBLE',
+        speed: { min: 1, max: 4 }, size: { min: 0.08, max: 0.3 }, lifetime: { min: 1, max: 2.5 }, opacity: 0.6, profile: 'trail',
+      },
+    },
+    // Instance capacity of each shared particle batch
+    MAX_INSTANCES: 2048,
+    // Billboard and fireball rendering (emitter layer `render`)
+    BILLBOARDS: {
+      SPRITE_SIZE: 64,       // Pixels per frame of the built-in sprite sheets
+      PUFF_FRAMES: [4, 4],   // Columns and rows of the built-in 'puff' flipbook
+      FIREBALL_STEPS: 6,     // Raymarch samples through each fireball
+      SOFTNESS: 1,           // Distance over which soft particles fade into geometry
+    },
+  },
+
+  // Lingering fire and smoke column after the blast (class `afterburn`, or
+  // triggerExplosion's `afterburn` option)
+  AFTERBURN: {
+    DURATION: 8,           // Seconds a site burns when switched on without a class duration
+    FLAME_RATE: 30,        // Flame particles per second at density 1
+    SMOKE_RATE: 12,        // Smoke column puffs per second at density 1
+    DISSIPATION: 1.5,      // Emission falls off as (1 - t / duration) ^ dissipation
+    RISE: 3,               // Speed the smoke column settles at, world units per second
+    WIND: [0, 0, 0],       // Smoke drift on top of the scene wind (none: scene wind alone)
+    RADIUS: 0.12,          // Fire radius relative to the class shockwaveScale
+    WRECKAGE_SCALE: 0.4,   // Size and emission of fires where wreckage lands
+  },
+
+  // Scene forces (the engine's `forces` option, see createForceFields)
+  FORCES: {
+    GUST_FREQUENCY: 0.3,      // Gusts per second of a gusting wind
+    TURBULENCE_SCALE: 0.25,   // Spatial frequency of turbulence
+    TURBULENCE_SPEED: 0.5,    // How fast the turbulence pattern evolves
+    // How closely each particle type follows forces and wind (emitter layer
+    // `forces` overrides); debris is heavy and barely moves
+    RESPONSE: { core: 0.2, fire: 0.6, spark: 0.3, smoke: 1, trail: 1, flame: 0.6, column: 1, bubble: 0.8 },
+    WRECKAGE_RESPONSE: 0.15,
+  },
+
+  // Medium explosions go off in (the engine's `environment` option, or
+  // triggerExplosion's). Presets list what they change from air.
+  ENVIRONMENTS: {
+    air: {
+      gravity: 1,            // Scales particle buoyancy / gravity and wreckage gravity
+      drag: 1,               // Exponent on particle drag: 0 coasts, above 1 is thicker
+      wreckageDrag: 0,       // Rate wreckage loses speed, per second
+      smoke: 'smoke',        // Particle type smoke, trails and columns become; false drops them
+      fire: true,            // false puts out afterburn
+      debris: 'forward',     // 'sphere' throws wreckage every way instead of along forwardVector
+      tint: null,            // { color, amount } mixed into particle and shockwave colors
+      shockwave: 'ring',     // 'sphere' draws an expanding pressure sphere instead
+      shockwaveDuration: 1,  // Scales how long shockwaves and the blast front take
+    },
+    // No air: nothing rises, falls, slows down or smokes, and debris drifts
+    // off in every direction
+    vacuum: {
+      gravity: 0,
+      drag: 0,
+      smoke: false,
+      fire: false,
+      debris: 'sphere',
+    },
+    // Heavy drag, bubble plumes, a muted blue-green palette and a slow
+    // pressure sphere; wreckage sinks
+    water: {
+      gravity: 0.3,
+      drag: 3,
+      wreckageDrag: 1.5,
+      smoke: 'bubble',
+      fire: false,
+      tint: { color: '#1f6f86', amount: 0.7 },
+      shockwave: 'sphere',
+      shockwaveDuration: 3,
+    },
+  },
+
+  // Shockwave
+  SHOCKWAVE: {
+    DURATION: 400,
+    MAX_OPACITY: 0.8,
+    SPHERE_OPACITY: 0.3,   // Pressure spheres (environment `shockwave: 'sphere'`) are fainter
+    RING_COUNT: 2,
+  },
+
+  // Emission shapes: 'sphere', 'hemisphere' (away from a surface normal),
+  // 'cone' (along forwardVector) and 'ring' (in the plane of the normal)
+  SHAPES: {
+    CONE_ANGLE: Math.PI / 5,   // Default half-angle of a cone (class: coneAngle)
+    RING_SPREAD: 0.15,         // How far ring particles stray out of the plane
+  },
+
+  // Simulation clock
+  CLOCK: {
+    // Longest step a single frame may advance (seconds), so a backgrounded
+    // tab does not finish every explosion in one jump
+    MAX_DELTA: 0.1,
+  },
+
+  // Explosion budget (the runtime's `quality` prop)
+  QUALITY: {
+    // particles: share of each explosion's plan that is spawned; wreckage:
+    // share of its pieces drawn; shockwaves: rings drawn per explosion (the
+    // rest still simulate); max*: live caps across all explosions
+    LEVELS: {
+      low: { particles: 0.35, shockwaves: 1, wreckage: 0.5, maxParticles: 600, maxSmoke: 150, maxLights: 2 },
+      medium: { particles: 0.7, shockwaves: 2, wreckage: 0.75, maxParticles: 1500, maxSmoke: 400, maxLights: 4 },
+      high: { particles: 1, shockwaves: Infinity, wreckage: 1, maxParticles: 4096, maxSmoke: 1200, maxLights: 8 },
+    },
+    // Distance-to-camera tiers; the first tier the explosion is within applies
+    LOD: [
+      { distance: 40, particles: 1, shockwaves: Infinity, wreckage: 1, light: true },
+      { distance: 80, particles: 0.5, shockwaves: 1, wreckage: 0.5, light: true },
+      { distance: Infinity, particles: 0.2, shockwaves: 1, wreckage: 0, light: false },
+    ],
+    // Adaptive quality ('auto'): the budget scale drops while the smoothed
+    // frame time is above target and recovers once it is comfortably below
+    TARGET_FRAME_TIME: 20,       // ms
+    RECOVER_THRESHOLD: 0.9,      // Recover below target * this
+    FRAME_TIME_SMOOTHING: 0.1,
+    ADAPT_RATE: 0.5,             // Scale lost per second over budget
+    RECOVER_RATE: 0.1,           // Scale regained per second under budget
+    MIN_SCALE: 0.25,
+    STATS_INTERVAL: 0.5,         // Seconds between onStats calls
+  },
+
+  // Scorch marks left on surfaces (enable with the runtime's `decals` prop)
+  DECALS: {
+    MAX: 64,            // Ring buffer size; new decals reuse the oldest slot
+    LIFETIME: 30,       // Seconds before a decal starts fading (0 keeps it until reused)
+    FADE: 5,            // Seconds to fade out
+    REACH: 0.5,         // Explosions within shockwaveScale * REACH of a surface scorch it
+    SCALE: 0.6,         // Scorch radius relative to the class shockwaveScale
+    DEBRIS_SCALE: 1.5,  // Debris mark radius relative to the wreckage piece size
+    COLOR: '#0d0a08',
+    OPACITY: 0.85,
+  },
+
+  // Spatial audio (enable with the runtime's `audio` prop)
+  AUDIO: {
+    VOLUME: 1,
+    SPEED_OF_SOUND: 343,   // World units per second; 0 plays every sound with the flash
+    REF_DISTANCE: 15,      // Distance at which sounds play at full volume
+    ROLLOFF: 1,
+    MAX_VOICES: 24,        // Further sounds are dropped while this many are playing
+    PITCH_VARIATION: 0.08,
+    CRACKLE_VOLUME: 0.5,
+    THUD_VOLUME: 0.4,
+  },
+
+  // Trauma-based camera shake (enable with the runtime's `cameraShake` prop,
+  // render <CameraShake /> yourself, or use createCameraShake() without React)
+  CAMERA_SHAKE: {
+    DECAY: 0.8,            // Trauma lost per second
+    MAX_OFFSET: 0.6,       // Camera offset (world units) at full trauma
+    MAX_ROTATION: 0.04,    // Pitch / yaw / roll (radians) at full trauma
+    FREQUENCY: 15,         // Noise speed; higher feels more violent
+    REF_DISTANCE: 20,      // Explosions further away add proportionally less trauma
+  },
+
+  // Screen Effects (enable with the runtime's `postEffects` prop)
+  SCREEN_FLASH: {
+    DURATION: 150,
+    INTENSITY: 0.8,
+    COLOR: '#fff4e0',
+    REF_DISTANCE: 20,      // Explosions further away flash proportionally less
+  },
+  POST_EFFECTS: {
+    HAZE_DURATION: 700,    // ms the heat-haze ripple takes to spread and settle
+    HAZE_STRENGTH: 0.015,  // Peak screen-space displacement of the ripple
+    HAZE_WIDTH: 0.3,       // Ripple band width relative to its radius
+    BLOOM_DURATION: 500,
+    BLOOM_THRESHOLD: 0.8,  // Brightness above which pixels glow
+    ABERRATION: 0.006,     // Chromatic offset at full bloom boost
+    MAX_RIPPLES: 8,
+  },
+};
+
+// ============================================================================
+// UTILITY FUNCTIONS
+// ============================================================================
+const WORLD_UP = new Vector3(0, 1, 0);
+const WORLD_DOWN = new Vector3(0, -1, 0);
+
+// Every random helper takes an optional generator so explosions can run off a
+// seeded stream (see createRandom) and replay identically on every client.
+const randomRange = (min, max, random = Math.random) => random() * (max - min) + min;
+const randomSpread = (spread, random = Math.random) => (random() - 0.5) * 2 * spread;
+const randomPick = (list, random = Math.random) => list[Math.floor(random() * list.length)];
+
+const createRandomDirection = (forwardVector, spreadAngle, random = Math.random) => {
+  const dir = forwardVector.clone().normalize();
+  const perpX = new Vector3(1, 0, 0).cross(dir).normalize();
+  const perpY = dir.clone().cross(perpX).normalize();
+  
+  const angleX = randomSpread(spreadAngle, random);
+  const angleY = randomSpread(spreadAngle, random);
+  
+  return dir
+    .add(perpX.multiplyScalar(Math.sin(angleX)))
+    .add(perpY.multiplyScalar(Math.sin(angleY)))
+    .normalize();
+};
+
+// Two unit vectors perpendicular to `axis` and to each other
+const createPerpendicularBasis = (axis) => {
+  const tangent = new Vector3()
+    .crossVectors(axis, Math.abs(axis.y) < 0.99 ? WORLD_UP : new Vector3(1, 0, 0))
+    .normalize();
+  return [tangent, new Vector3().crossVectors(axis, tangent)];
+};
+
+/**
+ * Random unit direction within an emission shape (see EXPLOSION_CONFIG.SHAPES).
+ * `axis` is the unit surface normal for hemisphere and ring, and the
+ * forward direction for cone; spheres ignore it.
+ */
+const createShapeDirection = (shape, axis, coneAngle, random = Math.random) => {
+  if (shape === 'cone') {
+    // Uniform over the spherical cap around the axis
+    const cosTheta = 1 - random() * (1 - Math.cos(coneAngle));
+    const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+    const phi = random() * Math.PI * 2;
+    const [tangent, bitangent] = createPerpendicularBasis(axis);
+    return axis.clone().multiplyScalar(cosTheta)
+      .addScaledVector(tangent, sinTheta * Math.cos(phi))
+      .addScaledVector(bitangent, sinTheta * Math.sin(phi));
+  }
+
+  if (shape === 'ring') {
+    const phi = random() * Math.PI * 2;
+    const [tangent, bitangent] = createPerpendicularBasis(axis);
+    return tangent.multiplyScalar(Math.cos(phi))
+      .addScaledVector(bitangent, Math.sin(phi))
+      .addScaledVector(axis, randomSpread(EXPLOSION_CONFIG.SHAPES.RING_SPREAD, random))
+      .normalize();
+  }
+
+  const direction = new Vector3(
+    randomSpread(1, random),
+    randomSpread(1, random),
+    randomSpread(1, random)
+  ).normalize();
+  // Mirror the half that points into the surface
+  if (shape === 'hemisphere') {
+    const into = direction.dot(axis);
+    if (into < 0) direction.addScaledVector(axis, -2 * into);
+  }
+  return direction;
+};
+
+// Positions and directions may be given as a Vector3 or an [x, y, z] array
+const toVector3 = (value, target = new Vector3()) =>
+  value?.isVector3 ? target.copy(value) : target.set(...(value || [0, 0, 0]));
+
+// World position of a point given in `object`'s local space
+const toWorldPosition = (object, localPosition, target = new Vector3()) => {
+  target.copy(localPosition);
+  if (!object) return target;
+  object.updateWorldMatrix(true, false);
+  return object.localToWorld(target);
+};
+
+// Topmost ancestor; an object removed from the scene gets a new root
+const getRootObject = (object) => {
+  let root = object;
+  while (root.parent) root = root.parent;
+  return root;
+};
+
+const warnedPoints = new Set();
+
+// Named descendant of `object` (a turret, an engine...), or `object` itself
+// with a one-time warning when there is none by that name
+const findAttachPoint = (object, name) => {
+  if (!name || !object) return object;
+  const point = object.getObjectByName(name);
+  if (point) return point;
+  if (!warnedPoints.has(name)) {
+    warnedPoints.add(name);
+    console.warn(`[ExplosionEngine] Attach point "${name}" not found, using "${object.name || object.type}"`);
+  }
+  return object;
+};
+
+// Smooth value noise in [-1, 1] for wind gusts and camera shake; each
+// channel is an independent curve
+const valueNoise = (channel, t) => {
+  const hash = (i) => {
+    const x = Math.sin(i * 127.1 + channel * 311.7) * 43758.5453;
+    return (x - Math.floor(x)) * 2 - 1;
+  };
+  const i = Math.floor(t);
+  const f = t - i;
+  return MathUtils.lerp(hash(i), hash(i + 1), f * f * (3 - 2 * f));
+};
+
+// Easing functions
+const easeOutQuad = (t) => 1 - (1 - t) * (1 - t);
+const easeInQuad = (t) => t * t;
+const easeOutExpo = (t) => t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
+
+// ============================================================================
+// SEEDED RANDOMNESS
+// ============================================================================
+const createSeed = () => Math.floor(Math.random() * 4294967296);
+
+// FNV-1a over the salt, mixed into the parent seed. Used to split one
+// explosion seed into independent streams (particles, wreckage, chains...)
+// so adding draws to one stream never shifts the others.
+const deriveSeed = (seed, salt) => {
+  let hash = (normalizeSeed(seed) ^ 0x811c9dc5) >>> 0;
+  const text = String(salt);
+  for (let i = 0; i < text.length; i++) {
+    hash = Math.imul(hash ^ text.charCodeAt(i), 0x01000193) >>> 0;
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b) >>> 0;
+  hash ^= hash >>> 13;
+  return hash >>> 0;
+};
+
+// Seeds may be numbers or strings (e.g. a network event id)
+const normalizeSeed = (seed) => {
+  if (typeof seed === 'number' && Number.isFinite(seed)) return seed >>> 0;
+  return deriveSeed(0, seed);
+};
+
+// Mulberry32: small, fast and good enough for visual effects. The stream is
+// a plain { state } object so simulation state that draws from it stays
+// serializable.
+const createRandomStream = (seed) => ({ state: normalizeSeed(seed) });
+
+const nextRandom = (stream) => {
+  stream.state = (stream.state + 0x6d2b79f5) >>> 0;
+  let t = stream.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+const createRandom = (seed) => {
+  const stream = createRandomStream(seed);
+  return () => nextRandom(stream);
+};
+
+// ============================================================================
+// EXPLOSION CLASS REGISTRY
+// ============================================================================
+// Classes are resolved by name from (in order) the nearest
+// ExplosionConfigProvider, classes added with registerExplosionClass, and the
+// built-ins in EXPLOSION_CONFIG.CLASSES. A definition only lists what differs
+// from its base (`extends`, or the engine defaults).
+
+const PARTICLE_TYPES = ['core', 'fire', 'spark', 'smoke'];
+const WRECKAGE_SHAPES = ['box', 'shard', 'panel'];
+const EXPLOSION_SHAPES = ['sphere', 'hemisphere', 'cone', 'ring'];
+const PARTICLE_RENDER_MODES = ['mesh', 'billboard', 'fireball'];
+
+// Defaults every class is merged onto. Built lazily so edits to
+// EXPLOSION_CONFIG (colors, ring count...) are still picked up.
+const createClassDefaults = () => ({
+  particleCount: 30,
+  shockwaveScale: 5,
+  duration: 1000,
+  wreckagePieces: 2,
+  wreckageScale: [0.6, 0.35, 0.9],
+  cameraShake: 0.25,
+  lightIntensity: 15,
+  lightDistance: 25,
+  particleMix: { core: 0.2, fire: 0.4, spark: 0.2, smoke: 0.2 },
+  colors: { ...EXPLOSION_CONFIG.PARTICLES.COLORS },
+  shockwaveCount: EXPLOSION_CONFIG.SHOCKWAVE.RING_COUNT,
+  shockwaveColor: '#ffaa44',
+  // Emission shape; triggerExplosion's `shape` overrides it
+  shape: 'sphere',
+  coneAngle: EXPLOSION_CONFIG.SHAPES.CONE_ANGLE,
+  chainExplosions: false,
+  chainCount: 0,
+  chainDelay: 200,
+  chainClass: 'SMALL',
+  chainSpread: [3, 2, 3],
+  secondaryClass: 'SMALL',
+  wreckageShape: 'box',
+  wreckageColor: '#1a1a1a',
+  wreckageEmissive: '#110800',
+  wreckageRestitution: EXPLOSION_CONFIG.WRECKAGE.RESTITUTION,
+  wreckageFriction: EXPLOSION_CONFIG.WRECKAGE.FRICTION,
+  hulkDuration: EXPLOSION_CONFIG.WRECKAGE.HULK_DURATION,
+  // Lingering fire and smoke; a duration of 0 leaves the site empty
+  afterburn: {
+    duration: 0,
+    density: 1,
+    dissipation: EXPLOSION_CONFIG.AFTERBURN.DISSIPATION,
+    rise: EXPLOSION_CONFIG.AFTERBURN.RISE,
+    wind: EXPLOSION_CONFIG.AFTERBURN.WIND,
+    radius: EXPLOSION_CONFIG.AFTERBURN.RADIUS,
+    wreckage: true,
+  },
+  velocityInheritance: { ...EXPLOSION_CONFIG.VELOCITY_INHERITANCE },
+  decalScale: EXPLOSION_CONFIG.DECALS.SCALE,
+  debrisDecalScale: EXPLOSION_CONFIG.DECALS.DEBRIS_SCALE,
+  decalColor: EXPLOSION_CONFIG.DECALS.COLOR,
+  // Gameplay blast; blastRadius defaults to the class shockwaveScale
+  blastRadius: null,
+  blastDamage: 25,
+  blastFalloff: 'linear',
+  blastImpulse: 10,
+  // Name of the boom buffer; built in: 'boom', or any user-supplied buffer
+  sound: 'boom',
+  soundVolume: 0.7,
+  soundPitch: 1,
+  // Post-effect strengths (runtime `postEffects` prop); 0 turns one off
+  screenFlash: 0.5,
+  heatHaze: 1,
+  bloomBoost: 0.5,
+});
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isColor = (value) =>
+  (typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) ||
+  (isNumber(value) && value >= 0 && value <= 0xffffff);
+
+// Each validator returns an error message, or null when the value is fine
+const isRange = (value, min = 0) =>
+  value && typeof value === 'object' && isNumber(value.min) && isNumber(value.max) &&
+  value.min >= min && value.min <= value.max;
+
+// One emitter layer: a group of particles sharing type, palette and motion
+const EMITTER_SCHEMA = {
+  type: (v) => v in EXPLOSION_CONFIG.PARTICLES.TYPES
+    ? null : `must be one of ${Object.keys(EXPLOSION_CONFIG.PARTICLES.TYPES).join(', ')}`,
+  share: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  count: (v) => Number.isInteger(v) && v >= 0 ? null : 'must be an integer >= 0',
+  colors: (v) => Array.isArray(v) && v.length && v.every(isColor) ? null : 'must be a non-empty list of colors',
+  speed: (v) => isRange(v) ? null : 'must be { min, max } with 0 <= min <= max',
+  size: (v) => isRange(v) && v.max > 0 ? null : 'must be { min, max } with 0 <= min <= max',
+  lifetime: (v) => isRange(v) && v.max > 0 ? null : 'must be { min, max } in seconds with 0 <= min <= max',
+  drag: (v) => isNumber(v) && v > 0 && v <= 1 ? null : 'must be a number in (0, 1]',
+  gravity: (v) => isNumber(v) ? null : 'must be a number',
+  blending: (v) => v === 'additive' || v === 'normal' ? null : "must be 'additive' or 'normal'",
+  opacity: (v) => isNumber(v) && v >= 0 && v <= 1 ? null : 'must be a number in [0, 1]',
+  profile: (v) => v === 'burst' || v === 'trail' ? null : "must be 'burst' or 'trail'",
+  render: (v) => PARTICLE_RENDER_MODES.includes(v) ? null : `must be one of ${PARTICLE_RENDER_MODES.join(', ')}`,
+  // Built in: 'soft' and 'puff', or a sheet handed to the engine's `sprites`
+  sprite: (v) => typeof v === 'string' && v ? null : 'must be a sprite sheet name',
+  // How closely particles follow scene forces (EXPLOSION_CONFIG.FORCES.RESPONSE)
+  forces: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  // Air velocity drag pulls particles towards, on top of the scene wind
+  wind: (v) => Array.isArray(v) && v.length === 3 && v.every(isNumber) ? null : 'must be [x, y, z]',
+};
+
+const validateEmitterLayer = (layer) => {
+  if (!layer || typeof layer !== 'object' || Array.isArray(layer)) return ['must be an object'];
+  return Object.entries(layer).reduce((issues, [key, value]) => {
+    const validate = EMITTER_SCHEMA[key];
+    if (!validate) {
+      issues.push(`unknown property "${key}"`);
+    } else {
+      const problem = validate(value);
+      if (problem) issues.push(`${key} ${problem}`);
+    }
+    return issues;
+  }, []);
+};
+
+const AFTERBURN_SCHEMA = {
+  duration: (v) => isNumber(v) && v >= 0 ? null : 'must be a duration in seconds >= 0',
+  density: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  dissipation: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  rise: (v) => isNumber(v) ? null : 'must be a number',
+  wind: EMITTER_SCHEMA.wind,
+  radius: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  wreckage: (v) => typeof v === 'boolean' ? null : 'must be a boolean',
+  flame: (v) => validateEmitterLayer(v).join(', ') || null,
+  smoke: (v) => validateEmitterLayer(v).join(', ') || null,
+};
+
+const CLASS_SCHEMA = {
+  name: (v) => typeof v === 'string' && v ? null : 'must be a non-empty string',
+  extends: (v) => typeof v === 'string' && v ? null : 'must be a class name',
+  particleCount: (v) => Number.isInteger(v) && v >= 0 ? null : 'must be an integer >= 0',
+  shockwaveScale: (v) => isNumber(v) && v > 0 ? null : 'must be a number > 0',
+  duration: (v) => isNumber(v) && v > 0 ? null : 'must be a duration in ms > 0',
+  wreckagePieces: (v) => Number.isInteger(v) && v >= 0 ? null : 'must be an integer >= 0',
+  wreckageScale: (v) => Array.isArray(v) && v.length === 3 && v.every(n => isNumber(n) && n > 0)
+    ? null : 'must be [x, y, z] with positive numbers',
+  cameraShake: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  lightIntensity: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  lightDistance: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  particleMix: (v) => {
+    if (!v || typeof v !== 'object') return 'must be an object of type ratios';
+    const unknown = Object.keys(v).filter(type => !PARTICLE_TYPES.includes(type));
+    if (unknown.length) return `has unknown particle types: ${unknown.join(', ')}`;
+    if (!Object.values(v).every(n => isNumber(n) && n >= 0)) return 'ratios must be numbers >= 0';
+    return Object.values(v).some(n => n > 0) ? null : 'needs at least one ratio > 0';
+  },
+  colors: (v) => {
+    if (!v || typeof v !== 'object') return 'must be an object of color lists';
+    const bad = Object.entries(v).filter(([, list]) =>
+      !Array.isArray(list) || !list.length || !list.every(isColor)
+    );
+    return bad.length ? `${bad.map(([key]) => key).join(', ')} must be non-empty lists of colors` : null;
+  },
+  emitters: (v) => {
+    if (!Array.isArray(v) || !v.length) return 'must be a non-empty list of emitter layers';
+    const problems = v.flatMap((layer, i) => validateEmitterLayer(layer).map(issue => `[${i}] ${issue}`));
+    return problems.length ? `has invalid layers: ${problems.join('; ')}` : null;
+  },
+  shockwaveCount: (v) => Number.isInteger(v) && v >= 0 ? null : 'must be an integer >= 0',
+  shockwaveColor: (v) => isColor(v) ? null : 'must be a color',
+  shape: (v) => EXPLOSION_SHAPES.includes(v) ? null : `must be one of ${EXPLOSION_SHAPES.join(', ')}`,
+  coneAngle: (v) => isNumber(v) && v > 0 && v <= Math.PI ? null : 'must be a half-angle in radians in (0, PI]',
+  chainExplosions: (v) => typeof v === 'boolean' ? null : 'must be a boolean',
+  chainCount: (v) => Number.isInteger(v) && v >= 0 ? null : 'must be an integer >= 0',
+  chainDelay: (v) => isNumber(v) && v >= 0 ? null : 'must be a delay in ms >= 0',
+  chainClass: (v) => typeof v === 'string' && v ? null : 'must be a class name',
+  chainSpread: (v) => Array.isArray(v) && v.length === 3 && v.every(n => isNumber(n) && n >= 0)
+    ? null : 'must be [x, y, z] with numbers >= 0',
+  secondaryClass: (v) => typeof v === 'string' && v ? null : 'must be a class name',
+  wreckageShape: (v) => WRECKAGE_SHAPES.includes(v) ? null : `must be one of ${WRECKAGE_SHAPES.join(', ')}`,
+  wreckageColor: (v) => isColor(v) ? null : 'must be a color',
+  wreckageEmissive: (v) => isColor(v) ? null : 'must be a color',
+  wreckageRestitution: (v) => isNumber(v) && v >= 0 && v <= 1 ? null : 'must be a number in [0, 1]',
+  wreckageFriction: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  hulkDuration: (v) => isNumber(v) && v >= 0 ? null : 'must be a duration in seconds >= 0',
+  afterburn: (v) => {
+    if (!v || typeof v !== 'object' || Array.isArray(v)) return 'must be an object of afterburn settings';
+    const problems = Object.entries(v).map(([key, value]) => {
+      const validate = AFTERBURN_SCHEMA[key];
+      if (!validate) return `unknown property "${key}"`;
+      const problem = validate(value);
+      return problem && `${key} ${problem}`;
+    }).filter(Boolean);
+    return problems.length ? `has invalid settings: ${problems.join('; ')}` : null;
+  },
+  velocityInheritance: (v) => {
+    if (!v || typeof v !== 'object') return 'must be an object of factors';
+    const parts = Object.keys(EXPLOSION_CONFIG.VELOCITY_INHERITANCE);
+    const unknown = Object.keys(v).filter(part => !parts.includes(part));
+    if (unknown.length) return `has unknown parts: ${unknown.join(', ')} (use ${parts.join(', ')})`;
+    return Object.values(v).every(n => isNumber(n) && n >= 0) ? null : 'factors must be numbers >= 0';
+  },
+  decalScale: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0 (0 disables scorch marks)',
+  debrisDecalScale: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0 (0 disables debris marks)',
+  decalColor: (v) => isColor(v) ? null : 'must be a color',
+  blastRadius: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  blastDamage: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  blastFalloff: (v) => v in BLAST_FALLOFF ? null : `must be one of ${Object.keys(BLAST_FALLOFF).join(', ')}`,
+  blastImpulse: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  sound: (v) => typeof v === 'string' && v ? null : 'must be a sound buffer name',
+  soundVolume: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  soundPitch: (v) => isNumber(v) && v > 0 ? null : 'must be a number > 0',
+  screenFlash: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0 (0 disables the flash)',
+  heatHaze: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0 (0 disables the haze)',
+  bloomBoost: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0 (0 disables the boost)',
+};
+
+class ExplosionConfigError extends Error {
+  constructor(className, issues) {
+    super(`Invalid explosion class "${className}":\n  - ${issues.join('\n  - ')}`);
+    this.name = 'ExplosionConfigError';
+    this.className = className;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Check a class definition against CLASS_SCHEMA.
+ * Returns a list of problems (empty when valid); unknown keys are reported
+ * so typos in JSON files do not get silently ignored.
+ */
+const validateExplosionClass = (definition) => {
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return ['definition must be an object'];
+  }
+  return Object.entries(definition).reduce((issues, [key, value]) => {
+    const validate = CLASS_SCHEMA[key];
+    if (!validate) {
+      issues.push(`unknown property "${key}"`);
+    } else {
+      const problem = validate(value);
+      if (problem) issues.push(`${key} ${problem}`);
+    }
+    return issues;
+  }, []);
+};
+
+// Nested objects (colors, particleMix, velocityInheritance, afterburn) merge key by key; arrays are replaced
+const mergeClassDefinition = (base, definition) => {
+  const merged = { ...base };
+  Object.entries(definition).forEach(([key, value]) => {
+    const isPlainObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isPlainObject ? { ...base[key], ...value } : value;
+  });
+  return merged;
+};
+
+const classRegistry = new Map();
+const warnedClasses = new Set();
+
+const lookupClassDefinition = (name, scopedClasses) =>
+  scopedClasses?.[name] ?? classRegistry.get(name) ?? EXPLOSION_CONFIG.CLASSES[name];
+
+/**
+ * Resolve a class name to a complete config: engine defaults, then each
+ * `extends` base, then the definition itself. Unknown names warn once and
+ * fall back to MEDIUM.
+ */
+const resolveExplosionClass = (name, scopedClasses) => {
+  let definition = lookupClassDefinition(name, scopedClasses);
+  if (!definition) {
+    if (!warnedClasses.has(name)) {
+      warnedClasses.add(name);
+      console.warn(`[ExplosionEngine] Unknown explosion class "${name}", falling back to MEDIUM`);
+    }
+    definition = lookupClassDefinition('MEDIUM', scopedClasses);
+    name = 'MEDIUM';
+  }
+
+  // Walk up the extends chain, nearest definition last
+  const chain = [definition];
+  const seen = new Set([name]);
+  let base = definition.extends;
+  while (base) {
+    if (seen.has(base)) {
+      throw new ExplosionConfigError(name, [`circular extends through "${base}"`]);
+    }
+    const baseDefinition = lookupClassDefinition(base, scopedClasses);
+    if (!baseDefinition) {
+      throw new ExplosionConfigError(name, [`extends unknown class "${base}"`]);
+    }
+    seen.add(base);
+    chain.unshift(baseDefinition);
+    base = baseDefinition.extends;
+  }
+
+  const resolved = chain.reduce(
+    (config, { extends: _base, ...layer }) => mergeClassDefinition(config, layer),
+    createClassDefaults()
+  );
+  resolved.name = name;
+  resolved.blastRadius ??= resolved.shockwaveScale;
+  return resolved;
+};
+
+/**
+ * Register (or replace) an explosion class at runtime. The definition is
+ * validated and may extend another class:
+ *
+ *   registerExplosionClass('PLASMA', { extends: 'LARGE', colors: { FIRE: ['#66ccff'] } });
+ *
+ * Returns the resolved config; throws ExplosionConfigError when invalid.
+ */
+const registerExplosionClass = (name, definition) => {
+  const issues = validateExplosionClass(definition);
+  if (issues.length) throw new ExplosionConfigError(name, issues);
+
+  const previous = classRegistry.get(name);
+  classRegistry.set(name, { ...definition, name });
+  try {
+    return resolveExplosionClass(name);
+  } catch (error) {
+    // Keep the registry consistent when the extends chain is broken
+    if (previous) classRegistry.set(name, previous);
+    else classRegistry.delete(name);
+    throw error;
+  }
+};
+
+// Register a map of classes, e.g. a JSON file shipped by designers. Entries
+// may extend each other in any order.
+const registerExplosionClasses = (definitions) => {
+  const pending = Object.entries(definitions);
+  pending.forEach(([name, definition]) => {
+    const issues = validateExplosionClass(definition);
+    if (issues.length) throw new ExplosionConfigError(name, issues);
+  });
+  const previous = pending.map(([name]) => [name, classRegistry.get(name)]);
+  pending.forEach(([name, definition]) => classRegistry.set(name, { ...definition, name }));
+  try {
+    return pending.map(([name]) => resolveExplosionClass(name));
+  } catch (error) {
+    // Roll back the whole batch when an extends chain is broken
+    previous.forEach(([name, definition]) => {
+      if (definition) classRegistry.set(name, definition);
+      else classRegistry.delete(name);
+    });
+    throw error;
+  }
+};
+
+const unregisterExplosionClass = (name) => classRegistry.delete(name);
+
+const getExplosionClassNames = (scopedClasses) => [...new Set([
+  ...Object.keys(EXPLOSION_CONFIG.CLASSES),
+  ...classRegistry.keys(),
+  ...Object.keys(scopedClasses || {}),
+])];
+
+// Split `total` by ratio, handing leftovers to the largest remainders so
+// counts always add up (a 15-particle 20/40/20/20 mix gives 3/6/3/3)
+const allocateByRatio = (total, ratios) => {
+  const entries = Object.entries(ratios).filter(([, ratio]) => ratio > 0);
+  const sum = entries.reduce((acc, [, ratio]) => acc + ratio, 0);
+  const shares = entries.map(([key, ratio]) => {
+    const exact = (ratio / sum) * total;
+    return { key, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let leftover = total - shares.reduce((acc, share) => acc + share.count, 0);
+  [...shares]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach(share => {
+      if (leftover > 0) {
+        share.count++;
+        leftover--;
+      }
+    });
+  return shares.reduce((counts, { key, count }) => ({ ...counts, [key]: count }), {});
+};
+
+/**
+ * Fill in an emitter layer from its type preset (EXPLOSION_CONFIG.PARTICLES.TYPES)
+ * and the class palette. The result carries everything a particle needs:
+ * colors, speed/size/lifetime ranges, drag, gravity, blending and profile.
+ */
+const resolveEmitterLayer = (layer = {}, colors = EXPLOSION_CONFIG.PARTICLES.COLORS) => {
+  const { PARTICLES } = EXPLOSION_CONFIG;
+  const type = layer.type ?? 'fire';
+  const preset = PARTICLES.TYPES[type] || PARTICLES.TYPES.fire;
+  return {
+    speed: PARTICLES.SPEED,
+    size: PARTICLES.SIZE,
+    lifetime: PARTICLES.LIFETIME,
+    opacity: 1,
+    profile: 'burst',
+    ...preset,
+    colors: colors[preset.palette] || PARTICLES.COLORS[preset.palette] || PARTICLES.COLORS.FIRE,
+    ...layer,
+    type,
+  };
+};
+
+// A class either lists its emitter layers or describes a particleMix, which
+// becomes one preset layer per particle type
+const getEmitterLayers = (config) => {
+  const layers = config.emitters ?? PARTICLE_TYPES
+    .filter(type => config.particleMix[type] > 0)
+    .map(type => ({ type, share: config.particleMix[type] }));
+  return layers.map(layer => resolveEmitterLayer(layer, config.colors));
+};
+
+// Layers with `count` get exactly that many particles; the rest split the
+// class particleCount by `share` (1 when neither is given)
+const allocateEmitterCounts = (layers, particleCount) => {
+  const ratios = {};
+  layers.forEach((layer, i) => {
+    if (layer.count === undefined) ratios[i] = layer.share ?? 1;
+  });
+  const shared = allocateByRatio(particleCount, ratios);
+  return layers.map((layer, i) => layer.count ?? shared[i] ?? 0);
+};
+
+// ============================================================================
+// ENVIRONMENTS
+// ============================================================================
+// The medium an explosion goes off in (EXPLOSION_CONFIG.ENVIRONMENTS). It is
+// applied to resolved emitter layers, wreckage and shockwaves as they are
+// created, so particles already in flight keep the medium they spawned in.
+const SMOKE_TYPES = ['smoke', 'trail', 'column'];
+const warnedEnvironments = new Set();
+
+/**
+ * Resolve an `environment` option: a preset name ('air', 'vacuum', 'water')
+ * or an object of overrides on top of its `preset` (air by default). Unknown
+ * presets warn once and fall back to air.
+ */
+const resolveEnvironment = (environment = 'air') => {
+  const { ENVIRONMENTS } = EXPLOSION_CONFIG;
+  const { preset = 'air', ...overrides } = typeof environment === 'string' ? { preset: environment } : environment;
+  if (!ENVIRONMENTS[preset]) {
+    if (!warnedEnvironments.has(preset)) {
+      warnedEnvironments.add(preset);
+      console.warn(`[ExplosionEngine] Unknown environment "${preset}", using "air"`);
+    }
+    return { ...ENVIRONMENTS.air, ...overrides, preset: 'air' };
+  }
+  return { ...ENVIRONMENTS.air, ...ENVIRONMENTS[preset], ...overrides, preset };
+};
+
+// `color` mixed towards the environment's tint, as a hex string
+const tintColor = (color, tint) =>
+  tint ? `#${new Color(color).lerp(new Color(tint.color), tint.amount).getHexString()}` : color;
+
+/**
+ * A resolved emitter layer as it behaves in `environment`: drag raised to
+ * its `drag` exponent, gravity scaled and colors tinted. Smoke-like layers
+ * take the motion and look of the environment's `smoke` type, keeping the
+ * rest (count / share, render, sprite, wind, forces), or are null when it
+ * has none.
+ */
+const applyEnvironment = (layer, environment) => {
+  const { smoke, tint } = environment;
+  if (SMOKE_TYPES.includes(layer.type) && smoke !== 'smoke') {
+    if (!smoke) return null;
+    const replaced = { ...layer, ...resolveEmitterLayer({ type: smoke }) };
+    return tint ? { ...replaced, colors: replaced.colors.map(color => tintColor(color, tint)) } : replaced;
+  }
+  if (environment.drag === 1 && environment.gravity === 1 && !tint) return layer;
+  return {
+    ...layer,
+    drag: Math.pow(layer.drag, environment.drag),
+    gravity: layer.gravity * environment.gravity,
+    colors: tint ? layer.colors.map(color => tintColor(color, tint)) : layer.colors,
+  };
+};
+
+// ============================================================================
+// EXPLOSION GENERATION
+// ============================================================================
+// `debris` is the environment's: 'forward' spreads pieces around
+// forwardVector, 'sphere' sends them every way
+const createWreckagePhysics = (forwardVector, random, debris = 'forward') => ({
+  velocity: (debris === 'sphere'
+    ? createShapeDirection('sphere', forwardVector, 0, random)
+    : createRandomDirection(forwardVector, EXPLOSION_CONFIG.WRECKAGE.SPREAD_ANGLE, random))
+    .multiplyScalar(randomRange(
+      EXPLOSION_CONFIG.WRECKAGE.INITIAL_VELOCITY.min,
+      EXPLOSION_CONFIG.WRECKAGE.INITIAL_VELOCITY.max,
+      random
+    )),
+  rotationSpeed: new Vector3(
+    randomRange(EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.min, EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.max, random),
+    randomRange(EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.min, EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.max, random),
+    randomRange(EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.min, EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.max, random)
+  ),
+});
+
+// Axis an emission shape is built around: forward for cones, the surface
+// normal otherwise. Shockwave rings lie across it.
+const getShapeAxis = (shape, forwardVector, normal) =>
+  toVector3(shape === 'cone' ? forwardVector : normal).normalize();
+
+/**
+ * Generate everything random about an explosion up front, as plain data.
+ * The same seed always yields the same particles, shockwaves, wreckage and
+ * chain explosions, which keeps lockstep clients in sync and makes the
+ * output suitable for snapshot tests. `shape` (the class's by default) and
+ * `normal` govern where particles fly and how the rings are oriented;
+ * `environment` (resolveEnvironment) adapts the emitter layers and debris.
+ */
+const generateExplosion = ({
+  explosionClass = 'MEDIUM',
+  config = resolveExplosionClass(explosionClass),
+  seed = createSeed(),
+  forwardVector = new Vector3(0, 0, -1),
+  shape = config.shape,
+  normal = WORLD_UP,
+  showWreckage = true,
+  fragments = null,
+  environment = EXPLOSION_CONFIG.ENVIRONMENTS.air,
+} = {}) => {
+  const axis = getShapeAxis(shape, forwardVector, normal);
+
+  // Particles, laid out layer by layer; layers the environment drops give
+  // their share to the rest
+  const emitters = getEmitterLayers(config)
+    .map(layer => applyEnvironment(layer, environment))
+    .filter(Boolean);
+  const counts = allocateEmitterCounts(emitters, config.particleCount);
+
+  const particleRandom = createRandom(deriveSeed(seed, 'particles'));
+  const particles = [];
+  emitters.forEach((emitter, layer) => {
+    for (let i = 0; i < counts[layer]; i++) {
+      const direction = createShapeDirection(shape, axis, config.coneAngle, particleRandom);
+
+      particles.push({
+        type: emitter.type,
+        layer,
+        direction,
+        speed: randomRange(emitter.speed.min, emitter.speed.max, particleRandom),
+        size: randomRange(emitter.size.min, emitter.size.max, particleRandom),
+        color: randomPick(emitter.colors, particleRandom),
+        lifetime: randomRange(emitter.lifetime.min, emitter.lifetime.max, particleRandom),
+      });
+    }
+  });
+
+  // Shockwaves
+  const shockwaves = [];
+  for (let i = 0; i < config.shockwaveCount; i++) {
+    shockwaves.push({
+      id: i,
+      delay: i * 80,
+      scale: config.shockwaveScale * Math.max(0.2, 1 - i * 0.2),
+      normal: axis.clone(),
+    });
+  }
+
+  // Wreckage: each piece gets its own stream, which FallingWreckage keeps
+  // drawing from for its smoke trail. Custom fragments ({ scale, offset })
+  // replace the class's pieces one for one and keep their own size.
+  const wreckage = [];
+  if (showWreckage) {
+    const wreckageRandom = createRandom(deriveSeed(seed, 'wreckage'));
+    const scaleVariation = 0.3;
+    const pieces = fragments ?? Array.from({ length: config.wreckagePieces }, () => null);
+    pieces.forEach((fragment, i) => {
+      const pieceSeed = deriveSeed(seed, `wreckage:${i}`);
+      wreckage.push({
+        id: i,
+        seed: pieceSeed,
+        scale: fragment ? [...fragment.scale] : config.wreckageScale.map(s =>
+          s * randomRange(1 - scaleVariation, 1 + scaleVariation, wreckageRandom)
+        ),
+        offset: toVector3(fragment?.offset),
+        ...createWreckagePhysics(forwardVector, createRandom(pieceSeed), environment.debris),
+      });
+    });
+  }
+
+  // Boss chain explosions
+  const chains = [];
+  if (config.chainExplosions) {
+    const chainRandom = createRandom(deriveSeed(seed, 'chains'));
+    const [spreadX, spreadY, spreadZ] = config.chainSpread;
+    for (let i = 0; i < config.chainCount; i++) {
+      chains.push({
+        id: i,
+        seed: deriveSeed(seed, `chain:${i}`),
+        explosionClass: config.chainClass,
+        delay: (i + 1) * config.chainDelay,
+        offset: new Vector3(
+          randomSpread(spreadX, chainRandom),
+          randomSpread(spreadY, chainRandom),
+          randomSpread(spreadZ, chainRandom)
+        ),
+      });
+    }
+  }
+
+  return { seed, explosionClass: config.name, shape, emitters, particles, shockwaves, wreckage, chains };
+};
+
+// ============================================================================
+// BLAST DAMAGE
+// ============================================================================
+// Gameplay side of an explosion: registered targets inside the blast radius
+// get damage and a knockback impulse, both attenuated by distance.
+
+// Attenuation by normalized distance (0 at the centre, 1 at the edge)
+const BLAST_FALLOFF = {
+  constant: () => 1,
+  linear: (t) => 1 - t,
+  quadratic: (t) => (1 - t) * (1 - t),
+  smooth: (t) => 1 - t * t * (3 - 2 * t),
+};
+
+const getTargetPosition = (target, result = new Vector3()) => {
+  if (target.object) return target.object.getWorldPosition(result);
+  const position = typeof target.position === 'function' ? target.position() : target.position;
+  return Array.isArray(position) ? result.fromArray(position) : result.copy(position);
+};
+
+/**
+ * Registry of things explosions can hurt. A target is
+ * `{ object }` (an Object3D), or `{ position }` (Vector3, [x, y, z] or a
+ * function returning one), with an optional hit `radius`; any other fields
+ * are passed back untouched in query results.
+ */
+const createBlastTargets = () => {
+  const targets = new Map();
+  const position = new Vector3();
+
+  return {
+    register: (id, target) => {
+      targets.set(id, target);
+      return () => {
+        if (targets.get(id) === target) targets.delete(id);
+      };
+    },
+    unregister: (id) => targets.delete(id),
+    get size() {
+      return targets.size;
+    },
+
+    /**
+     * Targets within `radius` of `origin`, nearest first, as
+     * { id, target, distance, attenuation, damage, direction, impulse }.
+     * Distance is measured to the target's surface (centre minus radius).
+     */
+    query: (origin, radius, { damage = 1, impulse = 0, falloff = 'linear' } = {}) => {
+      const attenuate = BLAST_FALLOFF[falloff] || BLAST_FALLOFF.linear;
+      const hits = [];
+      targets.forEach((target, id) => {
+        getTargetPosition(target, position);
+        const centreDistance = position.distanceTo(origin);
+        const distance = Math.max(0, centreDistance - (target.radius || 0));
+        if (distance > radius) return;
+
+        const attenuation = radius > 0 ? attenuate(distance / radius) : 1;
+        const direction = centreDistance > 1e-6
+          ? position.clone().sub(origin).divideScalar(centreDistance)
+          : WORLD_UP.clone();
+        hits.push({
+          id,
+          target,
+          distance,
+          attenuation,
+          damage: damage * attenuation,
+          direction,
+          impulse: direction.clone().multiplyScalar(impulse * attenuation),
+        });
+      });
+      return hits.sort((a, b) => a.distance - b.distance);
+    },
+  };
+};
+
+// Blast parameters of a resolved class, in the shape query() expects
+const getBlastOptions = (config) => ({
+  damage: config.blastDamage,
+  impulse: config.blastImpulse,
+  falloff: config.blastFalloff,
+});
+
+// ============================================================================
+// FORCE FIELDS
+// ============================================================================
+// Scene-level forces every particle and wreckage piece samples each step:
+// gusting wind, radial attractors / repulsors, turbulence and vortices, plus
+// a gravity scale (0 for explosions in space). The set is plain data stepped
+// on the simulation clock, so it runs headless like the rest.
+//
+//   engine.configure({ forces: { gravity: 0, fields: [
+//     { type: 'wind', direction: [1, 0, 0], strength: 3, gust: 0.5 },
+//     { type: 'vortex', position: [0, 0, -20], strength: 8, radius: 10 },
+//   ] } });
+
+const isVector3Like = (v) => v?.isVector3 || (Array.isArray(v) && v.length === 3 && v.every(isNumber));
+const isObject3D = (v) => Boolean(v?.isObject3D);
+
+const FORCE_FIELD_SCHEMA = {
+  wind: {
+    direction: (v) => isVector3Like(v) ? null : 'must be [x, y, z]',
+    strength: (v) => isNumber(v) ? null : 'must be a number',
+    gust: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+    gustFrequency: (v) => isNumber(v) && v > 0 ? null : 'must be a number > 0',
+  },
+  radial: {
+    position: (v) => isVector3Like(v) ? null : 'must be [x, y, z]',
+    object: (v) => isObject3D(v) ? null : 'must be an Object3D',
+    strength: (v) => isNumber(v) ? null : 'must be a number (negative attracts)',
+    radius: (v) => isNumber(v) && v > 0 ? null : 'must be a number > 0',
+    falloff: (v) => v in BLAST_FALLOFF ? null : `must be one of ${Object.keys(BLAST_FALLOFF).join(', ')}`,
+  },
+  turbulence: {
+    strength: (v) => isNumber(v) ? null : 'must be a number',
+    scale: (v) => isNumber(v) && v > 0 ? null : 'must be a number > 0',
+    speed: (v) => isNumber(v) && v >= 0 ? null : 'must be a number >= 0',
+  },
+  vortex: {
+    position: (v) => isVector3Like(v) ? null : 'must be [x, y, z]',
+    object: (v) => isObject3D(v) ? null : 'must be an Object3D',
+    axis: (v) => isVector3Like(v) ? null : 'must be [x, y, z]',
+    strength: (v) => isNumber(v) ? null : 'must be a number (negative spins the other way)',
+    pull: (v) => isNumber(v) ? null : 'must be a number',
+    radius: (v) => isNumber(v) && v > 0 ? null : 'must be a number > 0',
+  },
+};
+
+/**
+ * Check one force field ({ type, ...settings }) against FORCE_FIELD_SCHEMA.
+ * Returns a list of problems (empty when valid).
+ */
+const validateForceField = (field) => {
+  if (!field || typeof field !== 'object' || Array.isArray(field)) return ['must be an object'];
+  const schema = FORCE_FIELD_SCHEMA[field.type];
+  if (!schema) return [`type must be one of ${Object.keys(FORCE_FIELD_SCHEMA).join(', ')}`];
+  return Object.entries(field).reduce((issues, [key, value]) => {
+    if (key === 'type') return issues;
+    const validate = schema[key];
+    if (!validate) {
+      issues.push(`unknown property "${key}"`);
+    } else {
+      const problem = validate(value);
+      if (problem) issues.push(`${key} ${problem}`);
+    }
+    return issues;
+  }, []);
+};
+
+// Fill in a field's defaults; invalid fields warn and are left out
+const resolveForceField = (field, index) => {
+  const issues = validateForceField(field);
+  if (issues.length) {
+    console.warn(`[ExplosionEngine] Ignoring force field ${index}:\n  - ${issues.join('\n  - ')}`);
+    return null;
+  }
+  const { FORCES } = EXPLOSION_CONFIG;
+  switch (field.type) {
+    case 'wind':
+      return {
+        type: 'wind',
+        direction: toVector3(field.direction ?? [1, 0, 0]).normalize(),
+        strength: field.strength ?? 1,
+        gust: field.gust ?? 0,
+        gustFrequency: field.gustFrequency ?? FORCES.GUST_FREQUENCY,
+        // Gusts of different winds do not move in lockstep
+        phase: index * 17.31,
+      };
+    case 'radial':
+      return {
+        type: 'radial',
+        position: toVector3(field.position),
+        object: field.object ?? null,
+        strength: field.strength ?? 1,
+        radius: field.radius ?? 10,
+        falloff: BLAST_FALLOFF[field.falloff ?? 'linear'],
+      };
+    case 'turbulence':
+      return {
+        type: 'turbulence',
+        strength: field.strength ?? 1,
+        scale: field.scale ?? FORCES.TURBULENCE_SCALE,
+        speed: field.speed ?? FORCES.TURBULENCE_SPEED,
+      };
+    default:
+      return {
+        type: 'vortex',
+        position: toVector3(field.position),
+        object: field.object ?? null,
+        axis: toVector3(field.axis ?? [0, 1, 0]).normalize(),
+        strength: field.strength ?? 1,
+        pull: field.pull ?? 0,
+        radius: field.radius ?? 10,
+      };
+  }
+};
+
+/**
+ * Plain-data force set: `gravity` scales the gravity of particles and
+ * wreckage, `fields` lists wind, radial, turbulence and vortex fields.
+ * Radial and vortex fields with an `object` follow it; `position` is then
+ * local to it.
+ */
+const createForceFields = ({ gravity = 1, fields = [] } = {}) => {
+  const resolved = fields.map(resolveForceField).filter(Boolean);
+  return {
+    gravity,
+    fields: resolved,
+    time: 0,
+    // Sum of the wind fields this step, gusts included
+    wind: new Vector3(),
+    // Whether any field besides wind needs sampling per particle
+    sampled: resolved.some(field => field.type !== 'wind'),
+    // World positions of fields that follow an object
+    centers: [],
+  };
+};
+
+// Replace the settings of a force set but keep its clock, so gusts and
+// turbulence do not jump when the settings are applied again
+const configureForceFields = (forces, options) => {
+  const { time } = forces;
+  Object.assign(forces, createForceFields(options ?? {}), { time });
+  return forces;
+};
+
+// Advance the force clock by `delta` seconds and update the wind
+const stepForceFields = (forces, delta) => {
+  forces.time += delta;
+  forces.wind.set(0, 0, 0);
+  forces.fields.forEach((field, i) => {
+    if (field.type === 'wind') {
+      const gust = 1 + field.gust * valueNoise(1, forces.time * field.gustFrequency + field.phase);
+      forces.wind.addScaledVector(field.direction, field.strength * Math.max(0, gust));
+    }
+    if (field.object) {
+      forces.centers[i] = toWorldPosition(field.object, field.position, forces.centers[i]);
+    }
+  });
+  return forces;
+};
+
+const fieldOffset = new Vector3();
+const fieldRadial = new Vector3();
+
+/**
+ * Acceleration the non-wind fields apply at `position`, written to
+ * `target`. Wind is a velocity (`forces.wind`) that drag pulls towards.
+ */
+const sampleForceFields = (forces, position, target = new Vector3()) => {
+  target.set(0, 0, 0);
+  const { fields, centers, time } = forces;
+  for (let i = 0; i < fields.length; i++) {
+    const field = fields[i];
+    if (field.type === 'wind') continue;
+
+    if (field.type === 'turbulence') {
+      // ABC flow: smooth, swirling and divergence free, so it stirs
+      // particles without bunching them up
+      const k = field.scale;
+      const t = time * field.speed;
+      const { x, y, z } = position;
+      target.x += (Math.sin(k * z + t) + Math.cos(k * y + t * 1.3)) * field.strength;
+      target.y += (Math.sin(k * x + t * 0.7) + Math.cos(k * z + t)) * field.strength;
+      target.z += (Math.sin(k * y + t * 1.1) + Math.cos(k * x + t * 0.9)) * field.strength;
+      continue;
+    }
+
+    fieldOffset.copy(position).sub(field.object ? centers[i] ?? field.position : field.position);
+    if (field.type === 'radial') {
+      const distance = fieldOffset.length();
+      if (distance >= field.radius || distance < 1e-4) continue;
+      target.addScaledVector(fieldOffset, field.strength * field.falloff(distance / field.radius) / distance);
+    } else {
+      // Vortex: spin around the axis, optionally pulling towards it
+      fieldRadial.copy(field.axis).multiplyScalar(-fieldOffset.dot(field.axis)).add(fieldOffset);
+      const distance = fieldRadial.length();
+      if (distance >= field.radius || distance < 1e-4) continue;
+      const falloff = (1 - distance / field.radius) / distance;
+      target.addScaledVector(fieldOffset.crossVectors(field.axis, fieldRadial), field.strength * falloff);
+      target.addScaledVector(fieldRadial, -field.pull * falloff);
+    }
+  }
+  return target;
+};
+
+// ============================================================================
+// SHARED PARTICLE SYSTEM
+// ============================================================================
+// All explosions write into a few instanced batches (one per blending mode,
+// render mode and sprite sheet) instead of mounting a mesh, material and
+// useFrame per particle. Live particles are kept packed at the front of each
+// batch so the instanced mesh only draws `count` instances.
+
+const PROFILE_BURST = 0;
+const PROFILE_TRAIL = 1;
+
+// Adds a per-instance opacity attribute on top of MeshBasicMaterial, which
+// already handles per-instance color, fog and color management for us.
+const injectInstanceOpacity = (shader) => {
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', '#include <common>\nattribute float instanceOpacity;\nvarying float vInstanceOpacity;')
+    .replace('#include <begin_vertex>', '#include <begin_vertex>\nvInstanceOpacity = instanceOpacity;');
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', '#include <common>\nvarying float vInstanceOpacity;')
+    .replace('#include <color_fragment>', '#include <color_fragment>\ndiffuseColor.a *= vInstanceOpacity;');
+};
+
+const createMeshParticleMaterial = (blending) => {
+  const material = new MeshBasicMaterial({
+    color: '#ffffff',
+    transparent: true,
+    blending,
+    depthWrite: false,
+  });
+  material.onBeforeCompile = injectInstanceOpacity;
+  return material;
+};
+
+/**
+ * Particle state as flat typed arrays, with nothing three.js in it.
+ * stepParticles() advances a pool and leaves each live particle's `scale`
+ * and `opacity` next to its `position`; ParticleBatch only copies those
+ * into its instanced mesh, so the same pool can be stepped in Node.
+ */
+const createParticlePool = (capacity) => ({
+  capacity,
+  count: 0,
+  position: new Float32Array(capacity * 3),
+  velocity: new Float32Array(capacity * 3),
+  color: new Float32Array(capacity * 3),
+  size: new Float32Array(capacity),
+  age: new Float32Array(capacity),
+  lifetime: new Float32Array(capacity),
+  drag: new Float32Array(capacity),
+  gravity: new Float32Array(capacity),
+  // Layer's own air velocity (emitter layer `wind`), an offset added to the scene wind
+  wind: new Float32Array(capacity * 3),
+  // Share of scene forces and wind applied (emitter layer `forces`)
+  response: new Float32Array(capacity),
+  baseOpacity: new Float32Array(capacity),
+  profile: new Uint8Array(capacity),
+  // Non-zero tags are reported back by stepParticles when the particle dies
+  tag: new Uint32Array(capacity),
+  // Moving frame the particle is carried with (0: none), see carryParticles
+  frame: new Uint16Array(capacity),
+  scale: new Float32Array(capacity),
+  opacity: new Float32Array(capacity),
+});
+
+const NO_WIND = [0, 0, 0];
+
+// `color` is anything with r, g, b; `motion` a resolved emitter layer.
+// Returns false when the pool is full.
+const spawnParticle = (pool, { position, velocity, color, size, lifetime, motion, tag = 0, frame = 0 }) => {
+  if (pool.count >= pool.capacity) return false;
+
+  const i = pool.count++;
+  const p = i * 3;
+  pool.position[p] = position.x;
+  pool.position[p + 1] = position.y;
+  pool.position[p + 2] = position.z;
+  pool.velocity[p] = velocity.x;
+  pool.velocity[p + 1] = velocity.y;
+  pool.velocity[p + 2] = velocity.z;
+  pool.color[p] = color.r;
+  pool.color[p + 1] = color.g;
+  pool.color[p + 2] = color.b;
+  pool.size[i] = size;
+  pool.age[i] = 0;
+  pool.lifetime[i] = lifetime;
+  pool.drag[i] = motion.drag;
+  pool.gravity[i] = motion.gravity;
+  pool.wind.set(motion.wind ?? NO_WIND, p);
+  pool.response[i] = motion.forces ?? EXPLOSION_CONFIG.FORCES.RESPONSE[motion.type] ?? 1;
+  pool.baseOpacity[i] = motion.opacity ?? 1;
+  pool.profile[i] = motion.profile === 'trail' ? PROFILE_TRAIL : PROFILE_BURST;
+  pool.tag[i] = tag;
+  pool.frame[i] = frame;
+  pool.scale[i] = Math.max(0.01, size);
+  pool.opacity[i] = pool.baseOpacity[i];
+  return true;
+};
+
+// Move the last live particle into slot `i`
+const killParticle = (pool, i) => {
+  const last = --pool.count;
+  if (i === last) return;
+
+  for (const key of ['position', 'velocity', 'color', 'wind']) {
+    pool[key].copyWithin(i * 3, last * 3, last * 3 + 3);
+  }
+  for (const key of ['size', 'age', 'lifetime', 'drag', 'gravity', 'response', 'baseOpacity', 'profile', 'tag', 'frame']) {
+    pool[key][i] = pool[key][last];
+  }
+};
+
+const particlePosition = new Vector3();
+const particleForce = new Vector3();
+
+/**
+ * Advance every particle by `delta` seconds, packing the survivors at the
+ * front of the pool. `forces` (createForceFields) is optional. Returns the
+ * tags of tagged particles that died.
+ */
+const stepParticles = (pool, delta, forces) => {
+  const pos = pool.position;
+  const vel = pool.velocity;
+  const wind = pool.wind;
+  const expired = [];
+  const gravity = forces?.gravity ?? 1;
+  const sceneWind = forces?.wind;
+
+  let i = 0;
+  while (i < pool.count) {
+    pool.age[i] += delta;
+    const progress = pool.age[i] / pool.lifetime[i];
+
+    if (progress >= 1) {
+      if (pool.tag[i]) expired.push(pool.tag[i]);
+      killParticle(pool, i);
+      continue;
+    }
+
+    const p = i * 3;
+    pos[p] += vel[p] * delta;
+    pos[p + 1] += vel[p + 1] * delta;
+    pos[p + 2] += vel[p + 2] * delta;
+
+    // Drag is tuned per 60Hz frame; scale it so motion is frame-rate independent
+    const response = pool.response[i];
+    if (forces?.sampled && response > 0) {
+      sampleForceFields(forces, particlePosition.fromArray(pos, p), particleForce);
+      vel[p] += particleForce.x * response * delta;
+      vel[p + 1] += particleForce.y * response * delta;
+      vel[p + 2] += particleForce.z * response * delta;
+    }
+
+    // Drag acts relative to the air: the scene wind (by the particle's
+    // response) plus the layer's own wind offset, zero unless set
+    const damping = Math.pow(pool.drag[i], delta * 60);
+    const airX = sceneWind ? wind[p] + sceneWind.x * response : wind[p];
+    const airY = sceneWind ? wind[p + 1] + sceneWind.y * response : wind[p + 1];
+    const airZ = sceneWind ? wind[p + 2] + sceneWind.z * response : wind[p + 2];
+    vel[p] = (vel[p] - airX) * damping + airX;
+    vel[p + 1] = (vel[p + 1] - airY) * damping + airY + pool.gravity[i] * gravity * delta;
+    vel[p + 2] = (vel[p + 2] - airZ) * damping + airZ;
+
+    let scale;
+    if (pool.profile[i] === PROFILE_TRAIL) {
+      // Grow then shrink
+      const growPhase = Math.min(progress * 3, 1);
+      const shrinkPhase = Math.max(0, (progress - 0.5) * 2);
+      scale = pool.size[i] * (1 + growPhase * 0.5) * (1 - shrinkPhase * 0.8);
+    } else {
+      // Scale down
+      scale = pool.size[i] * (1 - progress * 0.7);
+    }
+    pool.scale[i] = Math.max(0.01, scale);
+    pool.opacity[i] = pool.baseOpacity[i] * (1 - progress);
+
+    i++;
+  }
+  return expired;
+};
+
+const carriedPosition = new Vector3();
+const carriedRotation = new Matrix3();
+
+// Move the particles of `frame` by `matrix` (a frame's motion since the last
+// step); velocities turn with it
+const carryParticles = (pool, frame, matrix) => {
+  carriedRotation.setFromMatrix4(matrix);
+  for (let i = 0; i < pool.count; i++) {
+    if (pool.frame[i] !== frame) continue;
+    const p = i * 3;
+    carriedPosition.fromArray(pool.position, p).applyMatrix4(matrix).toArray(pool.position, p);
+    carriedPosition.fromArray(pool.velocity, p).applyMatrix3(carriedRotation).toArray(pool.velocity, p);
+  }
+};
+
+// Draws a particle pool as one instanced mesh. Colors and opacities are
+// read straight from the pool's arrays; `animated` batches (billboards) also
+// read ages and lifetimes for their flipbook and fireball shaders.
+class ParticleBatch {
+  constructor(geometry, material, capacity, animated = false) {
+    this.pool = createParticlePool(capacity);
+    this.callbacks = new Map();
+    this.nextTag = 1;
+
+    this.opacity = new InstancedBufferAttribute(this.pool.opacity, 1);
+    this.opacity.setUsage(DynamicDrawUsage);
+    geometry.setAttribute('instanceOpacity', this.opacity);
+
+    this.lifecycle = animated ? [
+      new InstancedBufferAttribute(this.pool.age, 1),
+      new InstancedBufferAttribute(this.pool.lifetime, 1),
+    ] : [];
+    this.lifecycle.forEach(attribute => attribute.setUsage(DynamicDrawUsage));
+    if (animated) {
+      geometry.setAttribute('instanceAge', this.lifecycle[0]);
+      geometry.setAttribute('instanceLifetime', this.lifecycle[1]);
+    }
+
+    this.mesh = new InstancedMesh(geometry, material, capacity);
+    this.mesh.instanceMatrix.setUsage(DynamicDrawUsage);
+    this.mesh.instanceColor = new InstancedBufferAttribute(this.pool.color, 3);
+    this.mesh.instanceColor.setUsage(DynamicDrawUsage);
+    this.mesh.frustumCulled = false;
+    this.mesh.count = 0;
+  }
+
+  get count() {
+    return this.pool.count;
+  }
+
+  spawn(position, velocity, color, size, lifetime, motion, onComplete, frame) {
+    const tag = onComplete ? this.nextTag : 0;
+    if (!spawnParticle(this.pool, { position, velocity, color, size, lifetime, motion, tag, frame })) return false;
+
+    if (onComplete) {
+      this.callbacks.set(tag, onComplete);
+      this.nextTag = (this.nextTag % 0xffffffff) + 1;
+    }
+    this.mesh.instanceColor.needsUpdate = true;
+    this.lifecycle.forEach(attribute => { attribute.needsUpdate = true; });
+    return true;
+  }
+
+  update(delta, forces) {
+    const { pool } = this;
+    const live = pool.count;
+    const expired = stepParticles(pool, delta, forces);
+
+    // Uniform scale + translation, written straight into the instance matrix
+    const matrices = this.mesh.instanceMatrix.array;
+    for (let i = 0; i < pool.count; i++) {
+      const m = i * 16;
+      const p = i * 3;
+      const scale = pool.scale[i];
+      matrices.fill(0, m, m + 16);
+      matrices[m] = scale;
+      matrices[m + 5] = scale;
+      matrices[m + 10] = scale;
+      matrices[m + 12] = pool.position[p];
+      matrices[m + 13] = pool.position[p + 1];
+      matrices[m + 14] = pool.position[p + 2];
+      matrices[m + 15] = 1;
+    }
+
+    this.mesh.count = pool.count;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.opacity.needsUpdate = true;
+    // Ages change every step, lifetimes whenever particles die
+    this.lifecycle.forEach(attribute => { attribute.needsUpdate = true; });
+    // Dead particles were replaced by the last live ones, colors included
+    if (pool.count < live) this.mesh.instanceColor.needsUpdate = true;
+
+    expired.forEach(tag => {
+      const callback = this.callbacks.get(tag);
+      this.callbacks.delete(tag);
+      callback?.();
+    });
+  }
+
+  clear() {
+    this.pool.count = 0;
+    this.callbacks.clear();
+    this.mesh.count = 0;
+  }
+
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.mesh.dispose?.();
+  }
+}
+
+class ParticleSystem {
+  constructor(capacity = EXPLOSION_CONFIG.PARTICLES.MAX_INSTANCES) {
+    this.capacity = capacity;
+    this.object = new Group();
+    // Mesh batches by blending mode; billboard and fireball batches are
+    // added on first use
+    this.batches = {
+      additive: new ParticleBatch(new SphereGeometry(1, 6, 6), createMeshParticleMaterial(AdditiveBlending), capacity),
+      normal: new ParticleBatch(new IcosahedronGeometry(1, 0), createMeshParticleMaterial(NormalBlending), capacity),
+    };
+    this.object.add(this.batches.additive.mesh, this.batches.normal.mesh);
+    // Sprite sheets by name: user sheets (setSprites) and built-ins, made on demand
+    this.sprites = new Map();
+    this.userSprites = null;
+    this.soft = createSoftParticleState();
+    this.color = new Color();
+    // Live caps set by the quality governor; smoke is everything alpha-blended
+    this.limits = { particles: Infinity, smoke: Infinity };
+    this.culled = { particles: 0, smoke: 0 };
+  }
+
+  /**
+   * Spawn one particle in world space. Drag, gravity, blending, opacity,
+   * fade profile and render mode come from `layer` (a resolved emitter
+   * layer), or from the `type` preset in EXPLOSION_CONFIG.PARTICLES.TYPES.
+   * Returns false (and counts the particle as culled) when the batch is full
+   * or a limit is reached. `frame` is a moving frame id (see
+   * ExplosionEngine.attachFrame).
+   */
+  spawn({ position, velocity, color, size, lifetime, type = 'fire', layer, onComplete, frame }) {
+    const motion = layer || EXPLOSION_CONFIG.PARTICLES.TYPES[type] || EXPLOSION_CONFIG.PARTICLES.TYPES.fire;
+    const smoke = motion.blending === 'normal';
+    const batch = this.getBatch(motion);
+    const spawned = this.count < this.limits.particles &&
+      (!smoke || this.smokeCount < this.limits.smoke) &&
+      batch.spawn(position, velocity, this.color.set(color), size, lifetime, motion, onComplete, frame);
+    if (!spawned) this.culled[smoke ? 'smoke' : 'particles']++;
+    return spawned;
+  }
+
+  // Batch for a render mode, blending and sprite sheet
+  getBatch({ render = 'mesh', blending, sprite }) {
+    const normal = blending === 'normal';
+    if (render !== 'billboard' && render !== 'fireball') return normal ? this.batches.normal : this.batches.additive;
+
+    const sheet = render === 'billboard' ? this.getSprite(sprite) : null;
+    const key = `${render}:${normal ? 'normal' : 'additive'}${sheet ? `:${sheet.name}` : ''}`;
+    let batch = this.batches[key];
+    if (!batch) {
+      const material = createBillboardMaterial({
+        blending: normal ? NormalBlending : AdditiveBlending,
+        sprite: sheet,
+        fireball: render === 'fireball',
+        soft: this.soft,
+      });
+      batch = new ParticleBatch(new PlaneGeometry(2, 2), material, this.capacity, true);
+      this.batches[key] = batch;
+      this.object.add(batch.mesh);
+    }
+    return batch;
+  }
+
+  // Unknown names warn once and fall back to the 'soft' sprite
+  getSprite(name = 'soft') {
+    let sheet = this.sprites.get(name);
+    if (sheet) return sheet;
+
+    const source = this.userSprites?.[name];
+    if (source) {
+      sheet = { name, columns: 1, rows: 1, ...source, owned: false };
+    } else if (BUILTIN_SPRITES[name]) {
+      sheet = { name, ...BUILTIN_SPRITES[name](), owned: true };
+    } else {
+      console.warn(`[ExplosionEngine] Unknown particle sprite "${name}", using "soft"`);
+      sheet = this.getSprite('soft');
+    }
+    this.sprites.set(name, sheet);
+    return sheet;
+  }
+
+  /**
+   * Sprite sheets emitter layers can name in `sprite`:
+   * { name: { texture, columns, rows } }, frames left to right, top to
+   * bottom. Batches already drawing a replaced sheet are rebuilt on next use.
+   */
+  setSprites(sprites) {
+    if (sprites === this.userSprites) return;
+    this.userSprites = sprites;
+    Object.entries(this.batches).forEach(([key, batch]) => {
+      if (!key.startsWith('billboard:')) return;
+      batch.mesh.removeFromParent();
+      batch.dispose();
+      delete this.batches[key];
+    });
+    this.sprites.forEach(sheet => { if (sheet.owned) sheet.texture.dispose(); });
+    this.sprites.clear();
+  }
+
+  /**
+   * Fade billboards where they cut into scene geometry, given the scene's
+   * depth: { depthTexture, softness } or null to turn it off.
+   */
+  setSoftParticles(options) {
+    const { soft } = this;
+    soft.uniforms.sceneDepth.value = options?.depthTexture ?? null;
+    soft.uniforms.softness.value = options?.softness ?? EXPLOSION_CONFIG.PARTICLES.BILLBOARDS.SOFTNESS;
+    if (soft.enabled === Boolean(options)) return;
+
+    soft.enabled = Boolean(options);
+    Object.values(this.batches).forEach(({ mesh: { material } }) => {
+      if (!material.defines?.FIREBALL_STEPS) return;
+      if (soft.enabled) material.defines.SOFT_PARTICLES = '';
+      else delete material.defines.SOFT_PARTICLES;
+      material.needsUpdate = true;
+    });
+  }
+
+  // Camera and depth texture size the soft-particle fade reads depth with
+  syncSoftParticles(camera) {
+    const { enabled, uniforms } = this.soft;
+    const image = uniforms.sceneDepth.value?.image;
+    if (!enabled || !camera || !image) return;
+    uniforms.cameraNear.value = camera.near;
+    uniforms.cameraFar.value = camera.far;
+    uniforms.orthographic.value = Boolean(camera.isOrthographicCamera);
+    uniforms.sceneResolution.value.set(image.width, image.height);
+  }
+
+  // `forces` is the engine's force set (createForceFields), if any
+  update(delta, forces) {
+    for (const batch of Object.values(this.batches)) {
+      batch.update(delta, forces);
+    }
+  }
+
+  get count() {
+    return Object.values(this.batches).reduce((total, batch) => total + batch.count, 0);
+  }
+
+  // Live alpha-blended particles, which the smoke cap applies to
+  get smokeCount() {
+    return Object.values(this.batches).reduce(
+      (total, batch) => total + (batch.mesh.material.blending === NormalBlending ? batch.count : 0),
+      0
+    );
+  }
+
+  carry(frame, matrix) {
+    for (const batch of Object.values(this.batches)) {
+      carryParticles(batch.pool, frame, matrix);
+    }
+  }
+
+  hasFrame(frame) {
+    return Object.values(this.batches).some(({ pool }) => pool.frame.subarray(0, pool.count).includes(frame));
+  }
+
+  clear() {
+    for (const batch of Object.values(this.batches)) {
+      batch.clear();
+    }
+  }
+
+  dispose() {
+    for (const batch of Object.values(this.batches)) {
+      batch.dispose();
+    }
+    this.sprites.forEach(sheet => { if (sheet.owned) sheet.texture.dispose(); });
+    this.sprites.clear();
+  }
+}
+
+// ============================================================================
+// PARTICLE SPRITES & SHADERS
+// ============================================================================
+// Emitter layers render as low-poly meshes by default. `render: 'billboard'`
+// draws camera-facing quads textured with a flipbook sprite sheet played over
+// each particle's life; `render: 'fireball'` draws a procedural, raymarched
+// noise fireball. Both are MeshBasicMaterials with shader injections, so fog,
+// tone mapping and color management still apply, and both can fade softly
+// where they cut into scene geometry (ExplosionEngine `softParticles`).
+
+// Smooth 2D value noise over a wrapping lattice, for the built-in sheets
+const createLatticeNoise = (random, size = 16) => {
+  const lattice = Float32Array.from({ length: size * size }, () => random());
+  const at = (x, y) => lattice[((y % size + size) % size) * size + ((x % size + size) % size)];
+  return (x, y) => {
+    const ix = Math.floor(x);
+    const iy = Math.floor(y);
+    const fx = x - ix;
+    const fy = y - iy;
+    const sx = fx * fx * (3 - 2 * fx);
+    const sy = fy * fy * (3 - 2 * fy);
+    const top = MathUtils.lerp(at(ix, iy), at(ix + 1, iy), sx);
+    const bottom = MathUtils.lerp(at(ix, iy + 1), at(ix + 1, iy + 1), sx);
+    return MathUtils.lerp(top, bottom, sy);
+  };
+};
+
+/**
+ * Render a sprite sheet into an RGBA DataTexture, so built-in sprites need
+ * no image download. `shade(u, v, t)` returns [brightness, alpha] for a
+ * point of a frame (u, v in -1..1, t the frame's place in the animation).
+ * Frames run left to right, top to bottom, like a loaded sprite sheet.
+ */
+const createSpriteTexture = (columns, rows, shade) => {
+  const size = EXPLOSION_CONFIG.PARTICLES.BILLBOARDS.SPRITE_SIZE;
+  const width = columns * size;
+  const height = rows * size;
+  const data = new Uint8Array(width * height * 4);
+  const frames = columns * rows;
+
+  for (let frame = 0; frame < frames; frame++) {
+    const t = frames > 1 ? frame / (frames - 1) : 0;
+    const left = (frame % columns) * size;
+    // Texture rows run bottom-up, so the first frame sits in the top row
+    const bottom = (rows - 1 - Math.floor(frame / columns)) * size;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const [brightness, alpha] = shade((x + 0.5) / size * 2 - 1, (y + 0.5) / size * 2 - 1, t);
+        const i = ((bottom + y) * width + left + x) * 4;
+        data[i] = data[i + 1] = data[i + 2] = MathUtils.clamp(brightness, 0, 1) * 255;
+        data[i + 3] = MathUtils.clamp(alpha, 0, 1) * 255;
+      }
+    }
+  }
+
+  const texture = new DataTexture(data, width, height, RGBAFormat);
+  texture.magFilter = LinearFilter;
+  texture.minFilter = LinearFilter;
+  texture.needsUpdate = true;
+  return texture;
+};
+
+// Built-in sheets: 'soft' is a single round glow, 'puff' a billowing smoke
+// puff that swells and thins out over its life
+const BUILTIN_SPRITES = {
+  soft: () => ({
+    columns: 1,
+    rows: 1,
+    texture: createSpriteTexture(1, 1, (u, v) => {
+      const falloff = Math.max(0, 1 - Math.hypot(u, v));
+      return [1, falloff * falloff];
+    }),
+  }),
+  puff: () => {
+    const [columns, rows] = EXPLOSION_CONFIG.PARTICLES.BILLBOARDS.PUFF_FRAMES;
+    const noise = createLatticeNoise(createRandom('puff'));
+    return {
+      columns,
+      rows,
+      texture: createSpriteTexture(columns, rows, (u, v, t) => {
+        // Two octaves drifting apart as the puff grows
+        const billow = 0.65 * noise(u * 3 + 8 * t, v * 3) + 0.35 * noise(u * 7 - 5 * t, v * 7 + 11);
+        const radius = Math.hypot(u, v) / (0.55 + 0.4 * t);
+        const body = MathUtils.clamp((1 - radius) * 2.5 + (billow - 0.5) * 1.5, 0, 1);
+        return [0.7 + 0.3 * billow, body * (0.35 + 0.65 * billow) * (1 - 0.7 * t)];
+      }),
+    };
+  },
+};
+
+// Billboarding, flipbook frames, the fireball and the soft-particle fade.
+// Which parts compile is chosen by the material's defines (FLIPBOOK,
+// FIREBALL, SOFT_PARTICLES); instanceAge / instanceLifetime come from the
+// particle pool.
+const injectBillboard = (shader) => {
+  injectInstanceOpacity(shader);
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', [
+      '#include <common>',
+      'attribute float instanceAge;',
+      'attribute float instanceLifetime;',
+      'uniform vec2 spriteSheet;',
+      'varying vec2 vParticleUv;',
+      'varying float vParticleProgress;',
+      'varying float vParticleSeed;',
+      'varying float vParticleViewZ;',
+    ].join('\n'))
+    .replace('#include <uv_vertex>', [
+      '#include <uv_vertex>',
+      'vParticleUv = uv;',
+      'vParticleProgress = clamp(instanceAge / instanceLifetime, 0.0, 1.0);',
+      // Lifetimes are random per particle, which makes a free noise seed
+      'vParticleSeed = fract(instanceLifetime * 7.31);',
+      '#ifdef FLIPBOOK',
+      'float spriteFrames = spriteSheet.x * spriteSheet.y;',
+      'float spriteFrame = min(floor(vParticleProgress * spriteFrames), spriteFrames - 1.0);',
+      'vec2 spriteCell = vec2(mod(spriteFrame, spriteSheet.x), spriteSheet.y - 1.0 - floor(spriteFrame / spriteSheet.x));',
+      'vMapUv = (spriteCell + uv) / spriteSheet;',
+      '#endif',
+    ].join('\n'))
+    // Keep the instance's position and scale but face the camera
+    .replace('#include <project_vertex>', [
+      'vec4 mvPosition = modelViewMatrix * vec4(instanceMatrix[3].xyz, 1.0);',
+      'mvPosition.xy += transformed.xy * length(instanceMatrix[0].xyz);',
+      'vParticleViewZ = mvPosition.z;',
+      'gl_Position = projectionMatrix * mvPosition;',
+    ].join('\n'));
+
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', [
+      '#include <common>',
+      'varying vec2 vParticleUv;',
+      'varying float vParticleProgress;',
+      'varying float vParticleSeed;',
+      'varying float vParticleViewZ;',
+      '#ifdef SOFT_PARTICLES',
+      'uniform sampler2D sceneDepth;',
+      'uniform vec2 sceneResolution;',
+      'uniform float softness;',
+      'uniform float cameraNear;',
+      'uniform float cameraFar;',
+      'uniform bool orthographic;',
+      '#endif',
+      '#ifdef FIREBALL',
+      'float fireballHash(vec3 p) {',
+      '  p = fract(p * 0.3183099 + 0.1) * 17.0;',
+      '  return fract(p.x * p.y * p.z * (p.x + p.y + p.z));',
+      '}',
+      'float fireballNoise(vec3 p) {',
+      '  vec3 i = floor(p);',
+      '  vec3 f = fract(p);',
+      '  f = f * f * (3.0 - 2.0 * f);',
+      '  return mix(',
+      '    mix(mix(fireballHash(i), fireballHash(i + vec3(1.0, 0.0, 0.0)), f.x),',
+      '        mix(fireballHash(i + vec3(0.0, 1.0, 0.0)), fireballHash(i + vec3(1.0, 1.0, 0.0)), f.x), f.y),',
+      '    mix(mix(fireballHash(i + vec3(0.0, 0.0, 1.0)), fireballHash(i + vec3(1.0, 0.0, 1.0)), f.x),',
+      '        mix(fireballHash(i + vec3(0.0, 1.0, 1.0)), fireballHash(i + vec3(1.0, 1.0, 1.0)), f.x), f.y),',
+      '    f.z);',
+      '}',
+      'float fireballFbm(vec3 p) {',
+      '  float value = 0.0;',
+      '  float amplitude = 0.5;',
+      '  for (int i = 0; i < 3; i++) {',
+      '    value += amplitude * fireballNoise(p);',
+      '    p = p * 2.03 + 11.7;',
+      '    amplitude *= 0.5;',
+      '  }',
+      '  return value / 0.875;',
+      '}',
+      '#endif',
+    ].join('\n'))
+    .replace('#include <color_fragment>', [
+      '#include <color_fragment>',
+      '#ifdef FIREBALL',
+      // March front to back through the sphere behind this pixel, piling up
+      // churning noise that burns off from the edge inwards as it ages
+      'vec2 fireballPoint = vParticleUv * 2.0 - 1.0;',
+      'float fireballDepth = sqrt(max(0.0, 1.0 - dot(fireballPoint, fireballPoint)));',
+      'if (fireballDepth <= 0.0) discard;',
+      'vec3 fireballDrift = vec3(vParticleSeed * 17.0, -vParticleProgress * 1.5, vParticleSeed * 5.0);',
+      'float fireballDensity = 0.0;',
+      'float fireballHeat = 0.0;',
+      'for (int i = 0; i < FIREBALL_STEPS; i++) {',
+      '  float z = fireballDepth * (1.0 - 2.0 * (float(i) + 0.5) / float(FIREBALL_STEPS));',
+      '  vec3 q = vec3(fireballPoint, z);',
+      '  float core = 1.0 - length(q);',
+      '  float churn = fireballFbm(q * 2.5 + fireballDrift);',
+      '  float sampleDensity = clamp(core * 1.5 + (churn - 0.5) * 1.2 - vParticleProgress * 0.6, 0.0, 1.0);',
+      '  float absorbed = sampleDensity * 2.5 / float(FIREBALL_STEPS) * (1.0 - fireballDensity);',
+      '  fireballHeat += absorbed * (core + churn * 0.5);',
+      '  fireballDensity += absorbed;',
+      '}',
+      'fireballHeat = fireballHeat / max(fireballDensity, 0.001) * (1.0 - 0.6 * vParticleProgress);',
+      // Dark embers at the rim, the particle color through the body, white-hot core
+      'vec3 fireballColor = mix(diffuseColor.rgb * vec3(0.35, 0.08, 0.02), diffuseColor.rgb, smoothstep(0.1, 0.5, fireballHeat));',
+      'diffuseColor.rgb = fireballColor + vec3(1.0, 0.85, 0.6) * smoothstep(0.5, 1.0, fireballHeat);',
+      'diffuseColor.a *= clamp(fireballDensity, 0.0, 1.0);',
+      '#endif',
+      '#ifdef SOFT_PARTICLES',
+      'float sceneZ = texture2D(sceneDepth, gl_FragCoord.xy / sceneResolution).x;',
+      'float sceneViewZ = orthographic',
+      '  ? sceneZ * (cameraNear - cameraFar) - cameraNear',
+      '  : cameraNear * cameraFar / ((cameraFar - cameraNear) * sceneZ - cameraFar);',
+      'diffuseColor.a *= clamp((vParticleViewZ - sceneViewZ) / softness, 0.0, 1.0);',
+      '#endif',
+    ].join('\n'));
+};
+
+/**
+ * Material of a billboard or fireball batch. `sprite` is a sheet
+ * ({ texture, columns, rows }) for billboards; `soft` the particle system's
+ * shared soft-particle uniforms.
+ */
+const createBillboardMaterial = ({ blending, sprite, fireball, soft }) => {
+  const material = new MeshBasicMaterial({
+    color: '#ffffff',
+    map: sprite?.texture ?? null,
+    transparent: true,
+    blending,
+    depthWrite: false,
+  });
+  material.defines = {
+    FIREBALL_STEPS: EXPLOSION_CONFIG.PARTICLES.BILLBOARDS.FIREBALL_STEPS,
+    ...(fireball ? { FIREBALL: '' } : { FLIPBOOK: '' }),
+    ...(soft.enabled && { SOFT_PARTICLES: '' }),
+  };
+  const spriteSheet = { value: new Vector2(sprite?.columns ?? 1, sprite?.rows ?? 1) };
+  material.onBeforeCompile = (shader) => {
+    Object.assign(shader.uniforms, soft.uniforms, { spriteSheet });
+    injectBillboard(shader);
+  };
+  return material;
+};
+
+// Uniforms every billboard material shares, so one depth texture and camera
+// update reaches them all
+const createSoftParticleState = () => ({
+  enabled: false,
+  uniforms: {
+    sceneDepth: { value: null },
+    sceneResolution: { value: new Vector2(1, 1) },
+    softness: { value: EXPLOSION_CONFIG.PARTICLES.BILLBOARDS.SOFTNESS },
+    cameraNear: { value: 0.1 },
+    cameraFar: { value: 1000 },
+    orthographic: { value: false },
+  },
+});
+
+// ============================================================================
+// DECALS
+// ============================================================================
+// Scorch marks live in one instanced mesh used as a ring buffer: once full,
+// each new decal replaces the oldest one.
+
+// Irregular round scorch: dark centre, ragged edge, per-instance opacity
+const injectScorchShape = (shader) => {
+  injectInstanceOpacity(shader);
+  shader.vertexShader = shader.vertexShader
+    .replace('#include <common>', '#include <common>\nvarying vec2 vScorchUv;')
+    .replace('#include <begin_vertex>', '#include <begin_vertex>\nvScorchUv = uv * 2.0 - 1.0;');
+  shader.fragmentShader = shader.fragmentShader
+    .replace('#include <common>', '#include <common>\nvarying vec2 vScorchUv;')
+    .replace('#include <color_fragment>', [
+      '#include <color_fragment>',
+      'float scorchRadius = length(vScorchUv);',
+      'float scorchAngle = atan(vScorchUv.y, vScorchUv.x);',
+      'float scorchEdge = 0.8 + 0.1 * sin(scorchAngle * 7.0) + 0.06 * sin(scorchAngle * 17.0 + 1.3);',
+      'diffuseColor.a *= 1.0 - smoothstep(scorchEdge * 0.4, scorchEdge, scorchRadius);',
+      'diffuseColor.rgb *= mix(0.5, 1.0, scorchRadius);',
+    ].join('\n'));
+};
+
+const DECAL_NORMAL = new Vector3(0, 0, 1);
+
+class DecalSystem {
+  constructor({ 
+    max = EXPLOSION_CONFIG.DECALS.MAX, 
+    lifetime = EXPLOSION_CONFIG.DECALS.LIFETIME, 
+    fade = EXPLOSION_CONFIG.DECALS.FADE,
+  } = {}) {
+    this.capacity = max;
+    this.lifetime = lifetime;
+    this.fade = fade;
+    this.next = 0;
+    this.count = 0;
+    this.age = new Float32Array(max);
+    this.baseOpacity = new Float32Array(max);
+
+    const geometry = new PlaneGeometry(2, 2);
+    this.opacity = new InstancedBufferAttribute(new Float32Array(max), 1);
+    this.opacity.setUsage(DynamicDrawUsage);
+    geometry.setAttribute('instanceOpacity', this.opacity);
+
+    const material = new MeshBasicMaterial({
+      color: '#ffffff',
+      transparent: true,
+      depthWrite: false,
+      // Pull decals towards the camera so they do not z-fight the surface
+      polygonOffset: true,
+      polygonOffsetFactor: -4,
+      polygonOffsetUnits: -4,
+    });
+    material.onBeforeCompile = injectScorchShape;
+
+    this.mesh = new InstancedMesh(geometry, material, max);
+    this.mesh.setColorAt(0, new Color('#ffffff'));
+    this.mesh.frustumCulled = false;
+    this.mesh.renderOrder = -1;
+    this.mesh.count = 0;
+
+    this.matrix = new Matrix4();
+    this.quaternion = new Quaternion();
+    this.spin = new Quaternion();
+    this.scale = new Vector3();
+    this.color = new Color();
+  }
+
+  /**
+   * Stamp a decal flat onto a surface. `rotation` (radians around the
+   * normal) varies the ragged edge between decals.
+   */
+  add({ 
+    position, 
+    normal = WORLD_UP, 
+    radius, 
+    rotation = 0, 
+    color = EXPLOSION_CONFIG.DECALS.COLOR, 
+    opacity = EXPLOSION_CONFIG.DECALS.OPACITY,
+  }) {
+    const i = this.next;
+    this.next = (this.next + 1) % this.capacity;
+    this.count = Math.min(this.count + 1, this.capacity);
+
+    this.quaternion.setFromUnitVectors(DECAL_NORMAL, normal);
+    this.spin.setFromAxisAngle(DECAL_NORMAL, rotation);
+    this.quaternion.multiply(this.spin);
+    this.matrix.compose(position, this.quaternion, this.scale.set(radius, radius, 1));
+    this.mesh.setMatrixAt(i, this.matrix);
+    this.mesh.setColorAt(i, this.color.set(color));
+
+    this.age[i] = 0;
+    this.baseOpacity[i] = opacity;
+    this.opacity.array[i] = opacity;
+
+    this.mesh.count = this.count;
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.mesh.instanceColor.needsUpdate = true;
+    this.opacity.needsUpdate = true;
+    return i;
+  }
+
+  update(delta) {
+    if (!this.lifetime || !this.count) return;
+
+    const opacities = this.opacity.array;
+    for (let i = 0; i < this.count; i++) {
+      this.age[i] += delta;
+      const fade = (this.age[i] - this.lifetime) / Math.max(this.fade, 1e-3);
+      opacities[i] = this.baseOpacity[i] * MathUtils.clamp(1 - fade, 0, 1);
+    }
+    this.opacity.needsUpdate = true;
+  }
+
+  clear() {
+    this.next = 0;
+    this.count = 0;
+    this.mesh.count = 0;
+  }
+
+  dispose() {
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.mesh.dispose?.();
+  }
+}
+
+// ============================================================================
+// SCENE COLLISION
+// ============================================================================
+// Queries against the level geometry handed to the runtime: a list of
+// collider Object3Ds, a getGroundHeight(x, z) function and the groundY floor.
+const sceneRaycaster = new Raycaster();
+const sweepDirection = new Vector3();
+
+// Surface normal of a height function from central differences
+const heightFieldNormal = (getGroundHeight, x, z, target) => {
+  const e = 0.25;
+  const dx = (getGroundHeight(x + e, z) ?? 0) - (getGroundHeight(x - e, z) ?? 0);
+  const dz = (getGroundHeight(x, z + e) ?? 0) - (getGroundHeight(x, z - e) ?? 0);
+  return target.set(-dx / (2 * e), 1, -dz / (2 * e)).normalize();
+};
+
+const raycastColliders = (colliders, origin, direction, far) => {
+  sceneRaycaster.set(origin, direction);
+  sceneRaycaster.far = far;
+  return sceneRaycaster.intersectObjects(colliders, true).find(hit => hit.face);
+};
+
+/**
+ * Find where a piece moving from `from` to `to` (world space) touches the
+ * scene: colliders are swept along the step (and probed below the piece while
+ * it slides), then the height function and the floor plane are checked.
+ * Returns { position, normal } with the piece's centre `radius` off the
+ * surface, or null while airborne.
+ */
+const findWreckageContact = (from, to, radius, { colliders, getGroundHeight, floorY, contactNormal }) => {
+  if (colliders?.length) {
+    sweepDirection.subVectors(to, from);
+    const distance = sweepDirection.length();
+    let hit = distance > 1e-6 &&
+      raycastColliders(colliders, from, sweepDirection.normalize(), distance + radius);
+    if (!hit && contactNormal) {
+      hit = raycastColliders(colliders, to, sweepDirection.copy(contactNormal).negate(), radius * 2);
+    }
+    if (hit) {
+      const normal = hit.face.normal.clone().transformDirection(hit.object.matrixWorld);
+      if (normal.dot(sweepDirection) > 0) normal.negate();
+      return { position: hit.point.clone().addScaledVector(normal, radius), normal };
+    }
+  }
+
+  const height = getGroundHeight?.(to.x, to.z);
+  if (Number.isFinite(height) && to.y - radius <= height) {
+    return {
+      position: new Vector3(to.x, height + radius, to.z),
+      normal: heightFieldNormal(getGroundHeight, to.x, to.z, new Vector3()),
+    };
+  }
+
+  if (to.y - radius <= floorY) {
+    return { position: new Vector3(to.x, floorY + radius, to.z), normal: WORLD_UP.clone() };
+  }
+  return null;
+};
+
+/**
+ * Nearest surface within `maxDistance` straight below `position` (world
+ * space): colliders, the height function or the floor plane.
+ * Returns { point, normal, distance } or null.
+ */
+const findSurfaceBelow = (position, maxDistance, { colliders, getGroundHeight, floorY }) => {
+  let surface = null;
+  const consider = (point, normal) => {
+    const distance = position.y - point.y;
+    if (distance < 0 || distance > maxDistance || (surface && distance >= surface.distance)) return;
+    surface = { point, normal: normal.dot(WORLD_UP) < 0 ? normal.negate() : normal, distance };
+  };
+
+  if (colliders?.length) {
+    const hit = raycastColliders(colliders, position, WORLD_DOWN, maxDistance);
+    if (hit) consider(hit.point.clone(), hit.face.normal.clone().transformDirection(hit.object.matrixWorld));
+  }
+
+  const height = getGroundHeight?.(position.x, position.z);
+  if (Number.isFinite(height)) {
+    consider(
+      new Vector3(position.x, height, position.z),
+      heightFieldNormal(getGroundHeight, position.x, position.z, new Vector3())
+    );
+  }
+
+  if (Number.isFinite(floorY)) {
+    consider(new Vector3(position.x, floorY, position.z), WORLD_UP.clone());
+  }
+  return surface;
+};
+
+// ============================================================================
+// LIGHT POOL
+// ============================================================================
+// A fixed set of point lights shared by every flash and burning piece of
+// wreckage. The number of lights in the scene never changes, so materials are
+// not recompiled as explosions come and go; each frame the most important
+// sources (bright and close to the camera) get a light and the rest go dark.
+
+class LightPool {
+  constructor(size = EXPLOSION_CONFIG.QUALITY.LEVELS.high.maxLights) {
+    this.object = new Group();
+    this.lights = [];
+    this.resize(size);
+    this.sources = new Set();
+    this.active = 0;
+    // Sources removed without ever getting a light
+    this.culled = 0;
+  }
+
+  /**
+   * Register a light source { position, color, intensity, distance } (world
+   * space, updated in place by its owner). Returns a function removing it.
+   */
+  add(source) {
+    source.lit = false;
+    this.sources.add(source);
+    return () => {
+      if (this.sources.delete(source) && !source.lit) this.culled++;
+    };
+  }
+
+  // Hand the pool's lights to the most important sources the budget allows
+  update(cameraPosition, quality) {
+    const budget = Math.min(this.lights.length, quality ? quality.lightBudget() : this.lights.length);
+    const ranked = [];
+    this.sources.forEach(source => {
+      if (source.intensity <= 0 || (quality && !quality.allowsLight(source.position))) return;
+      const reach = source.distance > 0 ? cameraPosition.distanceTo(source.position) / source.distance : 0;
+      source.importance = source.intensity / (1 + reach * reach);
+      ranked.push(source);
+    });
+    ranked.sort((a, b) => b.importance - a.importance);
+
+    this.active = Math.min(budget, ranked.length);
+    this.lights.forEach((light, i) => {
+      if (i >= this.active) {
+        light.intensity = 0;
+        return;
+      }
+      const source = ranked[i];
+      source.lit = true;
+      light.position.copy(source.position);
+      light.color.copy(source.color);
+      light.intensity = source.intensity;
+      light.distance = source.distance;
+    });
+  }
+
+  // Grow or shrink the pool; registered sources are kept
+  resize(size) {
+    while (this.lights.length < size) {
+      const light = new PointLight('#ffffff', 0, 1);
+      this.lights.push(light);
+      this.object.add(light);
+    }
+    while (this.lights.length > size) {
+      const light = this.lights.pop();
+      light.removeFromParent();
+      light.dispose();
+    }
+  }
+
+  dispose() {
+    this.lights.forEach(light => light.dispose());
+    this.sources.clear();
+  }
+}
+
+// ============================================================================
+// QUALITY & LOD
+// ============================================================================
+// Budgets what explosions spawn: a quality level, distance-to-camera LOD
+// tiers and, when adaptive, a scale that drops while frames run long. Every
+// particle, ring, piece and light it removes is counted in its stats.
+const warnedQualityLevels = new Set();
+
+const resolveQualityOptions = (quality = 'high') => {
+  const { QUALITY } = EXPLOSION_CONFIG;
+  const options = typeof quality === 'string'
+    ? { level: quality === 'auto' ? 'high' : quality, adaptive: quality === 'auto' }
+    : quality;
+  let name = options.level ?? 'high';
+  if (!QUALITY.LEVELS[name]) {
+    if (!warnedQualityLevels.has(name)) {
+      warnedQualityLevels.add(name);
+      console.warn(`[ExplosionEngine] Unknown quality level "${name}", using "high"`);
+    }
+    name = 'high';
+  }
+  const level = QUALITY.LEVELS[name];
+  return {
+    name,
+    particles: level.particles,
+    shockwaves: level.shockwaves,
+    wreckage: level.wreckage,
+    maxParticles: options.maxParticles ?? level.maxParticles,
+    maxSmoke: options.maxSmoke ?? level.maxSmoke,
+    maxLights: options.maxLights ?? level.maxLights,
+    adaptive: options.adaptive ?? false,
+    targetFrameTime: options.targetFrameTime ?? QUALITY.TARGET_FRAME_TIME,
+  };
+};
+
+const createQualityGovernor = (particles) => {
+  const { QUALITY } = EXPLOSION_CONFIG;
+  const cameraPosition = new Vector3();
+  const stats = {
+    level: 'high',
+    scale: 1,
+    frameTime: 0,
+    culled: { particles: 0, smoke: 0, shockwaves: 0, wreckage: 0 },
+  };
+  let settings = resolveQualityOptions();
+
+  const getTier = (position) =>
+    QUALITY.LOD.find(tier => position.distanceTo(cameraPosition) <= tier.distance) ||
+    QUALITY.LOD[QUALITY.LOD.length - 1];
+
+  // Keeps an evenly spread `share` of the list, so thinning a seeded plan
+  // stays deterministic and keeps every emitter layer represented
+  const thinList = (list, share) =>
+    list.filter((item, i) => Math.floor((i + 1) * share) > Math.floor(i * share));
+
+  return {
+    cameraPosition,
+
+    configure(quality) {
+      settings = resolveQualityOptions(quality);
+      stats.level = settings.name;
+      if (!settings.adaptive) stats.scale = 1;
+    },
+
+    /**
+     * Trim a generateExplosion() plan for an explosion at world `origin`
+     * to the current level, LOD tier and adaptive scale. Only particles are
+     * removed; `drawn` is how many shockwaves and wreckage pieces to draw.
+     * The rest still play out unseen, so blast hits, events and secondary
+     * explosions are the same at every quality and camera distance.
+     */
+    thin(plan, origin) {
+      const tier = getTier(origin);
+      const particles = thinList(plan.particles, Math.min(1, settings.particles * tier.particles * stats.scale));
+      const drawn = {
+        shockwaves: Math.min(plan.shockwaves.length, settings.shockwaves, tier.shockwaves),
+        wreckage: Math.round(plan.wreckage.length * settings.wreckage * tier.wreckage),
+      };
+      stats.culled.particles += plan.particles.length - particles.length;
+      stats.culled.shockwaves += plan.shockwaves.length - drawn.shockwaves;
+      stats.culled.wreckage += plan.wreckage.length - drawn.wreckage;
+      return { ...plan, particles, drawn };
+    },
+
+    // Size of the light pool
+    get maxLights() {
+      return settings.maxLights;
+    },
+
+    // Pool lights that may be lit right now
+    lightBudget() {
+      return Math.max(1, Math.floor(settings.maxLights * stats.scale));
+    },
+
+    // Whether a light source at `position` is within a tier that keeps lights
+    allowsLight(position) {
+      return getTier(position).light;
+    },
+
+    // Called every frame with the real (unscaled) frame delta in seconds
+    update(frameDelta) {
+      const frameTime = Math.min(frameDelta, EXPLOSION_CONFIG.CLOCK.MAX_DELTA) * 1000;
+      stats.frameTime += (frameTime - stats.frameTime) * QUALITY.FRAME_TIME_SMOOTHING;
+
+      if (settings.adaptive) {
+        if (stats.frameTime > settings.targetFrameTime) {
+          stats.scale = Math.max(QUALITY.MIN_SCALE, stats.scale - QUALITY.ADAPT_RATE * frameDelta);
+        } else if (stats.frameTime < settings.targetFrameTime * QUALITY.RECOVER_THRESHOLD) {
+          stats.scale = Math.min(1, stats.scale + QUALITY.RECOVER_RATE * frameDelta);
+        }
+      }
+      particles.limits.particles = Math.floor(settings.maxParticles * stats.scale);
+      particles.limits.smoke = Math.floor(settings.maxSmoke * stats.scale);
+    },
+
+    // Snapshot of live counts and everything culled since the runtime mounted
+    getStats(lights) {
+      return {
+        level: stats.level,
+        adaptive: settings.adaptive,
+        scale: stats.scale,
+        frameTime: stats.frameTime,
+        particles: particles.count,
+        smoke: particles.smokeCount,
+        lights: lights?.active ?? 0,
+        culled: {
+          ...stats.culled,
+          particles: stats.culled.particles + particles.culled.particles,
+          smoke: particles.culled.smoke,
+          lights: lights?.culled ?? 0,
+        },
+      };
+    },
+  };
+};
+
+// ============================================================================
+// EXPLOSION EVENTS
+// ============================================================================
+const EXPLOSION_EVENTS = [
+  'start',
+  'flashPeak',
+  'shockwave',
+  'wreckageLanded',
+  'secondaryExplosion',
+  'chainExplosion',
+  'complete',
+  // Explosion sequences (see playSequence)
+  'sequenceStep',
+  'sequenceComplete',
+];
+
+// Minimal pub/sub for lifecycle events; '*' listens to every type
+const createExplosionEvents = () => {
+  const listeners = new Map();
+
+  const off = (type, listener) => {
+    listeners.get(type)?.delete(listener);
+  };
+
+  const on = (type, listener) => {
+    if (type !== '*' && !EXPLOSION_EVENTS.includes(type)) {
+      console.warn(`[ExplosionEngine] Unknown explosion event "${type}"`);
+    }
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(listener);
+    return () => off(type, listener);
+  };
+
+  const emit = (event) => {
+    listeners.get(event.type)?.forEach(listener => listener(event));
+    listeners.get('*')?.forEach(listener => listener(event));
+  };
+
+  return { on, off, emit };
+};
+
+// ============================================================================
+// CAMERA SHAKE
+// ============================================================================
+// Trauma-based shake shared by the React CameraShake layer and plain three.js
+// scenes. Trauma (0-1) is added per explosion and decays over time; the
+// shake grows with trauma squared, so overlapping explosions stack.
+
+const createCameraShake = (options = {}) => {
+  const defaults = EXPLOSION_CONFIG.CAMERA_SHAKE;
+  return {
+    trauma: 0,
+    time: 0,
+    applied: false,
+    decay: options.decay ?? defaults.DECAY,
+    maxOffset: options.maxOffset ?? defaults.MAX_OFFSET,
+    maxRotation: options.maxRotation ?? defaults.MAX_ROTATION,
+    frequency: options.frequency ?? defaults.FREQUENCY,
+    refDistance: options.refDistance ?? defaults.REF_DISTANCE,
+    offset: new Vector3(),
+    rotation: new Euler(),
+    rotationQuaternion: new Quaternion(),
+    savedPosition: new Vector3(),
+    savedQuaternion: new Quaternion(),
+  };
+};
+
+// Add `amount` of trauma; with a `position`, it falls off past refDistance
+// from `camera` as refDistance / distance
+const addCameraTrauma = (shake, amount, position, camera) => {
+  if (position && camera) {
+    const distance = position.distanceTo(camera.getWorldPosition(shake.offset));
+    amount *= Math.min(1, shake.refDistance / Math.max(distance, 0.001));
+  }
+  shake.trauma = MathUtils.clamp(shake.trauma + amount, 0, 1);
+};
+
+/**
+ * Trauma an explosion event adds: its class `cameraShake` on 'start', the
+ * step's `shake` on 'sequenceStep'. `classes` are scoped classes to resolve
+ * the event's class against, as for resolveExplosionClass.
+ */
+const shakeFromEvent = (shake, event, camera, classes) => {
+  if (event.type === 'start') {
+    addCameraTrauma(shake, resolveExplosionClass(event.explosionClass, classes).cameraShake, event.position, camera);
+  } else if (event.type === 'sequenceStep' && event.shake) {
+    addCameraTrauma(shake, event.shake, event.position, camera);
+  }
+};
+
+const stepCameraShake = (shake, delta) => {
+  shake.time += delta;
+  shake.trauma = Math.max(0, shake.trauma - shake.decay * delta);
+};
+
+// Offset `camera` for one render; restoreCameraShake() puts it back, so the
+// camera's own movement is never overwritten
+const applyCameraShake = (shake, camera) => {
+  if (shake.trauma <= 0) return;
+
+  const amount = shake.trauma * shake.trauma;
+  const t = shake.time * shake.frequency;
+  shake.savedPosition.copy(camera.position);
+  shake.savedQuaternion.copy(camera.quaternion);
+
+  shake.offset
+    .set(valueNoise(0, t), valueNoise(1, t), 0)
+    .multiplyScalar(shake.maxOffset * amount)
+    .applyQuaternion(camera.quaternion);
+  camera.position.add(shake.offset);
+  shake.rotation.set(
+    valueNoise(2, t) * shake.maxRotation * amount,
+    valueNoise(3, t) * shake.maxRotation * amount,
+    valueNoise(4, t) * shake.maxRotation * amount
+  );
+  camera.quaternion.multiply(shake.rotationQuaternion.setFromEuler(shake.rotation));
+  camera.updateMatrixWorld();
+  shake.applied = true;
+};
+
+const restoreCameraShake = (shake, camera) => {
+  if (!shake.applied) return;
+  camera.position.copy(shake.savedPosition);
+  camera.quaternion.copy(shake.savedQuaternion);
+  camera.updateMatrixWorld();
+  shake.applied = false;
+};
+
+// ============================================================================
+// HEADLESS SIMULATION
+// ============================================================================
+// Explosions as plain data. create*State() builds a state and step*() advances
+// it in place, touching nothing else: no meshes, no scene and no WebGL (three
+// is only used for its vector math), so the whole simulation runs in Node for
+// unit tests and server-side hit resolution. The effect classes further down
+// only draw these states.
+//
+//   const state = createExplosionState({ explosionClass: 'BOSS', seed: 7 });
+//   const { events, blasts } = stepExplosion(state, 1 / 60, { blastTargets });
+
+// Rings expand across `normal` (flat on the ground by default); a 'sphere'
+// `form` is a pressure sphere expanding every way. `culled` rings (over the
+// quality budget) expand as usual but are not drawn.
+const createShockwaveState = ({
+  id = 0,
+  maxScale,
+  duration = EXPLOSION_CONFIG.SHOCKWAVE.DURATION,
+  delay = 0,
+  normal = WORLD_UP,
+  form = 'ring',
+  culled = false,
+}) => ({
+  id,
+  maxScale,
+  duration,
+  delay,
+  normal: toVector3(normal).normalize(),
+  form,
+  maxOpacity: form === 'sphere' ? EXPLOSION_CONFIG.SHOCKWAVE.SPHERE_OPACITY : EXPLOSION_CONFIG.SHOCKWAVE.MAX_OPACITY,
+  elapsed: 0,
+  scale: 0.1,
+  opacity: 0,
+  started: false,
+  culled,
+  done: false,
+});
+
+const stepShockwave = (ring, delta) => {
+  if (ring.done) return;
+  ring.elapsed += delta * 1000;
+
+  // Wait out the delay on the simulation clock
+  if (!ring.started) {
+    if (ring.elapsed < ring.delay) return;
+    ring.started = true;
+  }
+
+  const progress = (ring.elapsed - ring.delay) / ring.duration;
+  if (progress >= 1) {
+    ring.done = true;
+    return;
+  }
+
+  // Expand and fade out
+  ring.scale = MathUtils.lerp(0.1, ring.maxScale, easeOutQuad(progress));
+  ring.opacity = ring.maxOpacity * (1 - easeInQuad(progress));
+};
+
+const createFlashState = ({
+  scale,
+  duration = 200,
+  lightIntensity = 30,
+  lightDistance = scale * 10,
+}) => ({
+  scale,
+  duration,
+  lightIntensity,
+  lightDistance,
+  elapsed: 0,
+  size: 0,
+  opacity: 1,
+  intensity: lightIntensity,
+  peaked: false,
+  done: false,
+});
+
+const stepFlash = (flash, delta) => {
+  if (flash.done) return;
+  flash.elapsed += delta * 1000;
+  const progress = flash.elapsed / flash.duration;
+
+  if (progress >= 1) {
+    flash.done = true;
+    flash.intensity = 0;
+    return;
+  }
+
+  // Rapid expansion then fade
+  const expansionProgress = Math.min(progress * 4, 1);
+  flash.size = flash.scale * easeOutExpo(expansionProgress);
+  if (expansionProgress >= 1) flash.peaked = true;
+  flash.opacity = 1 - easeInQuad(progress);
+  flash.intensity = flash.lightIntensity * (1 - progress);
+};
+
+// One piece of wreckage in world space; `floorY` is absolute. `environment`
+// (resolveEnvironment) sets how it flies, sinks and trails smoke. `culled`
+// pieces (over the quality budget) fly and land like the rest, unseen and
+// without smoke or scorch marks.
+const createWreckageState = ({
+  id = 0,
+  position,
+  forwardVector = new Vector3(0, 0, -1),
+  scale = [0.6, 0.35, 0.9],
+  floorY = EXPLOSION_CONFIG.WRECKAGE.GROUND_Y,
+  restitution = EXPLOSION_CONFIG.WRECKAGE.RESTITUTION,
+  friction = EXPLOSION_CONFIG.WRECKAGE.FRICTION,
+  hulkDuration = EXPLOSION_CONFIG.WRECKAGE.HULK_DURATION,
+  decalScale = EXPLOSION_CONFIG.DECALS.DEBRIS_SCALE,
+  decalColor = EXPLOSION_CONFIG.DECALS.COLOR,
+  inheritVelocity,
+  environment = EXPLOSION_CONFIG.ENVIRONMENTS.air,
+  seed = createSeed(),
+  culled = false,
+}) => {
+  // Same stream as generateExplosion's wreckage entry: initial physics
+  // first, then the smoke trail keeps drawing from it
+  const random = createRandomStream(seed);
+  const { velocity, rotationSpeed } = createWreckagePhysics(
+    toVector3(forwardVector),
+    () => nextRandom(random),
+    environment.debris
+  );
+  if (inheritVelocity) velocity.add(toVector3(inheritVelocity));
+
+  return {
+    id,
+    seed,
+    scale,
+    floorY,
+    restitution,
+    friction,
+    hulkDuration,
+    decalScale,
+    decalColor,
+    environment,
+    random,
+    position: toVector3(position),
+    previous: new Vector3(),
+    velocity,
+    rotation: new Vector3(),
+    rotationSpeed,
+    radius: Math.min(...scale) * 0.5,
+    contactNormal: null,
+    // Seconds of simulation time since the last trail puff (emit on the first step)
+    smokeTimer: EXPLOSION_CONFIG.WRECKAGE.SMOKE_EMIT_RATE,
+    // World point of the first contact
+    landedAt: null,
+    // Seconds since launch; pieces that never settle (zero gravity) expire
+    age: 0,
+    hulkTime: null,
+    heat: 1,
+    culled,
+    done: false,
+  };
+};
+
+// Particle spawn request for one puff of smoke trail, or null when the
+// environment has no smoke
+const createSmokeTrailParticle = (position, velocity, size, random = Math.random, environment = EXPLOSION_CONFIG.ENVIRONMENTS.air) => {
+  const trail = applyEnvironment(resolveEmitterLayer({ type: 'trail' }), environment);
+  if (!trail) return null;
+  return {
+    position: position.clone(),
+    velocity,
+    color: randomPick(trail.colors, random),
+    size,
+    lifetime: randomRange(trail.lifetime.min, trail.lifetime.max, random),
+    layer: trail,
+  };
+};
+
+const wreckageForce = new Vector3();
+
+/**
+ * Advance a wreckage piece by `delta` seconds. `world` holds what it collides
+ * with ({ colliders, getGroundHeight }), `decals` (whether to request
+ * scorch marks) and the scene `forces` (createForceFields). Smoke and decals are pushed as requests onto
+ * `output.particles` / `output.decals`, which is returned.
+ */
+const stepWreckage = (piece, delta, world = {}, output = { particles: [], decals: [] }) => {
+  if (piece.done) return output;
+  const { WRECKAGE } = EXPLOSION_CONFIG;
+  const { environment } = piece;
+  const random = () => nextRandom(piece.random);
+  const puff = (velocity, size) => {
+    const particle = createSmokeTrailParticle(piece.position, velocity, size, random, environment);
+    if (particle && !piece.culled) output.particles.push(particle);
+  };
+
+  // Resting hulk: smoulder, cool down, then despawn
+  if (piece.hulkTime !== null) {
+    piece.hulkTime += delta;
+    piece.heat = Math.max(0, 1 - piece.hulkTime / piece.hulkDuration);
+
+    piece.smokeTimer += delta;
+    if (piece.smokeTimer > WRECKAGE.HULK_SMOKE_RATE) {
+      piece.smokeTimer = 0;
+      puff(
+        new Vector3(randomSpread(0.3, random), randomRange(1, 2, random), randomSpread(0.3, random)),
+        randomRange(0.4, 0.8, random) * (0.5 + piece.heat * 0.5)
+      );
+    }
+
+    if (piece.hulkTime >= piece.hulkDuration) piece.done = true;
+    return output;
+  }
+
+  // Apply gravity, the medium's drag, and scene forces on what is still airborne
+  const { forces } = world;
+  const gravity = WRECKAGE.GRAVITY * (forces?.gravity ?? 1) * environment.gravity;
+  piece.velocity.y -= gravity * delta;
+  if (environment.wreckageDrag > 0) piece.velocity.multiplyScalar(Math.exp(-environment.wreckageDrag * delta));
+  if (forces && !piece.contactNormal) {
+    const response = EXPLOSION_CONFIG.FORCES.WRECKAGE_RESPONSE * delta;
+    piece.velocity.addScaledVector(forces.wind, response);
+    if (forces.sampled) piece.velocity.addScaledVector(sampleForceFields(forces, piece.position, wreckageForce), response);
+  }
+  piece.age += delta;
+  if (piece.age > WRECKAGE.MAX_MOTION) {
+    piece.done = true;
+    return output;
+  }
+
+  // Update position and rotation
+  piece.previous.copy(piece.position);
+  piece.position.addScaledVector(piece.velocity, delta);
+  piece.rotation.addScaledVector(piece.rotationSpeed, delta);
+
+  // Smoke trail
+  piece.smokeTimer += delta;
+  if (piece.smokeTimer > WRECKAGE.SMOKE_EMIT_RATE) {
+    piece.smokeTimer = 0;
+    puff(
+      new Vector3(randomSpread(1, random), randomRange(0.5, 1.5, random), randomSpread(1, random)),
+      randomRange(0.3, 0.6, random)
+    );
+  }
+
+  // Collide with colliders, the height function and the floor
+  const contact = findWreckageContact(piece.previous, piece.position, piece.radius, {
+    colliders: world.colliders,
+    getGroundHeight: world.getGroundHeight,
+    floorY: piece.floorY,
+    contactNormal: piece.contactNormal,
+  });
+  piece.contactNormal = null;
+  if (!contact) return output;
+
+  piece.position.copy(contact.position);
+
+  const { normal } = contact;
+  const impact = -piece.velocity.dot(normal);
+  // Keep probing below a sliding piece, but let a bouncing one leave
+  piece.contactNormal = normal;
+  if (impact > 0) {
+    // Split into normal and tangential parts; bounce the normal part and
+    // slow the tangential part with Coulomb friction
+    const bounce = impact > WRECKAGE.BOUNCE_SPEED ? impact * piece.restitution : 0;
+    piece.velocity.addScaledVector(normal, impact);
+    const slide = piece.velocity.length();
+    const frictionLoss = piece.friction * (impact + bounce + gravity * delta);
+    piece.velocity.multiplyScalar(slide > 0 ? Math.max(0, slide - frictionLoss) / slide : 0);
+    piece.velocity.addScaledVector(normal, bounce);
+    piece.rotationSpeed.multiplyScalar(bounce > 0 ? 0.6 : Math.pow(0.9, delta * 60));
+    if (bounce > 0) piece.contactNormal = null;
+  }
+
+  if (!piece.landedAt) {
+    piece.landedAt = piece.position.clone();
+    if (world.decals && piece.decalScale > 0 && !piece.culled) {
+      output.decals.push({
+        position: piece.position.clone().addScaledVector(normal, -piece.radius),
+        normal,
+        radius: Math.max(...piece.scale) * 0.5 * piece.decalScale,
+        rotation: random() * Math.PI * 2,
+        color: piece.decalColor,
+      });
+    }
+  }
+
+  if (piece.velocity.length() < WRECKAGE.REST_SPEED) {
+    piece.velocity.set(0, 0, 0);
+    piece.rotationSpeed.set(0, 0, 0);
+    if (piece.hulkDuration > 0) {
+      piece.hulkTime = 0;
+    } else {
+      piece.done = true;
+    }
+  }
+  return output;
+};
+
+/**
+ * Afterburn settings for a class and triggerExplosion's `afterburn` option:
+ * false turns it off, true turns it on (for DURATION seconds when the class
+ * has no duration) and an object overrides the class's settings. Returns
+ * null when nothing burns, otherwise the settings with resolved `flame` and
+ * `smoke` emitter layers (`smoke` is null in an environment without smoke).
+ * Nothing burns in an environment without `fire`.
+ */
+const resolveAfterburn = (config, option, environment = EXPLOSION_CONFIG.ENVIRONMENTS.air) => {
+  const { AFTERBURN } = EXPLOSION_CONFIG;
+  if (option === false || !environment.fire) return null;
+  const settings = { ...config.afterburn, ...(option && option !== true && option) };
+  const duration = settings.duration || (option ? AFTERBURN.DURATION : 0);
+  if (!duration) return null;
+
+  const flame = resolveEmitterLayer({ type: 'flame', ...settings.flame }, config.colors);
+  const smoke = resolveEmitterLayer({ type: 'column', ...settings.smoke }, config.colors);
+  return {
+    ...settings,
+    duration,
+    radius: settings.radius * config.shockwaveScale,
+    flame: applyEnvironment(flame, environment),
+    smoke: applyEnvironment({
+      ...smoke,
+      wind: settings.wind,
+      // Buoyancy that balances drag at the `rise` speed
+      gravity: settings.smoke?.gravity ?? settings.rise * -Math.log(smoke.drag) * 60,
+    }, environment),
+  };
+};
+
+// One burning site in world space; `scale` sizes its fire and emission
+const createAfterburnState = ({ id = 0, position, scale = 1, seed = createSeed() }) => ({
+  id,
+  position: toVector3(position),
+  scale,
+  random: createRandomStream(seed),
+  // Seconds of simulation time since it caught fire
+  time: 0,
+  // Fractional particles owed to the emitters
+  flames: 0,
+  smoke: 0,
+  done: false,
+});
+
+/**
+ * Advance a burning site by `delta` seconds. `settings` come from
+ * resolveAfterburn; flame and smoke spawn requests are pushed onto
+ * `output.particles`, which is returned.
+ */
+const stepAfterburn = (fire, delta, settings, output = { particles: [] }) => {
+  if (fire.done) return output;
+  const { AFTERBURN } = EXPLOSION_CONFIG;
+  const random = () => nextRandom(fire.random);
+
+  fire.time += delta;
+  const remaining = 1 - fire.time / settings.duration;
+  if (remaining <= 0) {
+    fire.done = true;
+    return output;
+  }
+  const strength = Math.pow(remaining, settings.dissipation);
+  const emission = settings.density * fire.scale * strength * delta;
+  const radius = settings.radius * fire.scale;
+  const spawn = (layer, velocity) => output.particles.push({
+    position: fire.position.clone().add(new Vector3(randomSpread(radius, random), 0, randomSpread(radius, random))),
+    velocity,
+    color: randomPick(layer.colors, random),
+    size: randomRange(layer.size.min, layer.size.max, random) * fire.scale * (0.5 + strength * 0.5),
+    lifetime: randomRange(layer.lifetime.min, layer.lifetime.max, random),
+    layer,
+  });
+
+  const { flame, smoke, rise, wind } = settings;
+  fire.flames += AFTERBURN.FLAME_RATE * emission;
+  for (; fire.flames >= 1; fire.flames--) {
+    spawn(flame, new Vector3(randomSpread(0.3, random), randomRange(flame.speed.min, flame.speed.max, random), randomSpread(0.3, random)));
+  }
+  fire.smoke += smoke ? AFTERBURN.SMOKE_RATE * emission : 0;
+  for (; fire.smoke >= 1; fire.smoke--) {
+    spawn(smoke, new Vector3(wind[0] + randomSpread(0.3, random), rise * randomRange(0.6, 1, random) + wind[1], wind[2] + randomSpread(0.3, random)));
+  }
+  return output;
+};
+
+/**
+ * Plain-data state of one explosion. `origin` is its world position; chain
+ * and secondary explosions are nested states in `children`, placed at
+ * `offset` from their parent. `inheritVelocity` is the velocity of what
+ * blew up, handed on to particles, wreckage and chains by the class's
+ * velocityInheritance factors. `shape` (the class's unless given) and the
+ * surface `normal` shape the burst. `fragments` ({ scale, offset } per
+ * piece) replaces the class's wreckage. `afterburn` leaves fire and smoke
+ * burning at the blast and where wreckage lands (see resolveAfterburn).
+ * `environment` is the medium it goes off in (see resolveEnvironment).
+ * Nothing happens until the first step.
+ */
+const createExplosionState = ({
+  origin = [0, 0, 0],
+  offset = [0, 0, 0],
+  forwardVector = [0, 0, -1],
+  inheritVelocity = [0, 0, 0],
+  explosionClass = 'MEDIUM',
+  classes,
+  config = resolveExplosionClass(explosionClass, classes),
+  shape = config.shape,
+  normal = WORLD_UP,
+  showWreckage = true,
+  showFlash = true,
+  showSecondary = true,
+  groundY = EXPLOSION_CONFIG.WRECKAGE.GROUND_Y,
+  seed = createSeed(),
+  fragments = null,
+  afterburn,
+  environment,
+  depth = 0,
+} = {}) => {
+  const medium = resolveEnvironment(environment);
+  return {
+    explosionClass: config.name,
+    config,
+    classes,
+    seed,
+    depth,
+    origin: toVector3(origin),
+    offset: toVector3(offset),
+    forwardVector: toVector3(forwardVector),
+    inheritVelocity: toVector3(inheritVelocity),
+    shape,
+    normal: toVector3(normal).normalize(),
+    groundY,
+    showWreckage,
+    showFlash,
+    showSecondary,
+    fragments,
+    environment: medium,
+    afterburn: resolveAfterburn(config, afterburn, medium),
+    // Milliseconds of simulation time since the start
+    time: 0,
+    started: false,
+    flash: null,
+    shockwaves: [],
+    wreckage: [],
+    chains: [],
+    children: [],
+    // Burning sites (afterburn); the first one stays at the origin
+    fires: [],
+    blast: { origin: null, hit: [], done: false },
+    done: false,
+  };
+};
+
+// Lifecycle events carry the class and a world position (the explosion's
+// origin unless a local point is given); `depth` is 0 for the explosion
+// itself and 1+ for its chain and secondary explosions
+const pushExplosionEvent = (state, world, output, type, localPosition, details) => {
+  const position = state.origin.clone();
+  if (localPosition) position.add(localPosition);
+  output.events.push({
+    type,
+    explosionClass: state.explosionClass,
+    seed: state.seed,
+    position,
+    time: world.time,
+    depth: state.depth,
+    ...details,
+  });
+};
+
+// Particle spawn requests for a generateExplosion() plan from a world-space
+// origin. With `inheritVelocity`, smoke (any smoke-like type, or the bubbles
+// it becomes underwater) and the other particles keep their class's share of it.
+const createPlanParticles = (plan, origin, inheritVelocity, inheritance) => plan.particles.map(particle => {
+  const velocity = particle.direction.clone().multiplyScalar(particle.speed);
+  if (inheritVelocity) {
+    const smoke = SMOKE_TYPES.includes(particle.type) || particle.type === 'bubble';
+    velocity.addScaledVector(inheritVelocity, smoke ? inheritance.smoke : inheritance.particles);
+  }
+  return {
+    position: origin,
+    velocity,
+    size: particle.size,
+    color: particle.color,
+    lifetime: particle.lifetime,
+    layer: plan.emitters[particle.layer],
+  };
+});
+
+// A nested explosion at a point local to this one
+const spawnChildExplosion = (state, offset, explosionClass, seed, inheritVelocity) => {
+  state.children.push(createExplosionState({
+    origin: state.origin.clone().add(offset),
+    offset,
+    inheritVelocity,
+    explosionClass,
+    classes: state.classes,
+    showWreckage: false,
+    showFlash: state.showFlash,
+    showSecondary: state.showSecondary,
+    groundY: state.groundY - offset.y,
+    seed,
+    environment: state.environment,
+    depth: state.depth + 1,
+  }));
+};
+
+const startExplosion = (state, world, output) => {
+  const { config, seed, origin, environment } = state;
+  state.started = true;
+
+  // Particles from the origin, trimmed to the quality budget when there is one
+  let plan = generateExplosion({
+    config,
+    seed,
+    forwardVector: state.forwardVector,
+    shape: state.shape,
+    normal: state.normal,
+    showWreckage: state.showWreckage,
+    fragments: state.fragments,
+    environment,
+  });
+  if (world.quality) plan = world.quality.thin(plan, origin);
+  const drawn = plan.drawn ?? { shockwaves: Infinity, wreckage: Infinity };
+  const { inheritVelocity } = state;
+  const inheritance = config.velocityInheritance;
+  output.particles.push(...createPlanParticles(plan, origin.clone(), inheritVelocity, inheritance));
+  state.blast.origin = origin.clone();
+
+  // Scorch the surface below when the blast is close enough to reach it
+  const floorY = origin.y + state.groundY;
+  if (world.decals && config.decalScale > 0) {
+    const reach = config.shockwaveScale * EXPLOSION_CONFIG.DECALS.REACH;
+    const surface = findSurfaceBelow(origin, reach, {
+      colliders: world.colliders,
+      getGroundHeight: world.getGroundHeight,
+      floorY,
+    });
+    if (surface) {
+      output.decals.push({
+        position: surface.point,
+        normal: surface.normal,
+        radius: config.shockwaveScale * config.decalScale * (1 - 0.5 * surface.distance / reach),
+        rotation: createRandom(deriveSeed(seed, 'decal'))() * Math.PI * 2,
+        color: config.decalColor,
+      });
+    }
+  }
+
+  if (state.showFlash) {
+    state.flash = createFlashState({
+      scale: config.shockwaveScale * 0.5,
+      lightIntensity: config.lightIntensity,
+      lightDistance: config.lightDistance,
+    });
+  }
+
+  state.shockwaves = plan.shockwaves.map((wave, i) => createShockwaveState({
+    id: wave.id,
+    maxScale: wave.scale,
+    duration: EXPLOSION_CONFIG.SHOCKWAVE.DURATION * environment.shockwaveDuration,
+    delay: wave.delay,
+    normal: wave.normal,
+    form: environment.shockwave,
+    culled: i >= drawn.shockwaves,
+  }));
+
+  state.wreckage = plan.wreckage.map((piece, i) => createWreckageState({
+    id: piece.id,
+    seed: piece.seed,
+    position: origin.clone().add(piece.offset),
+    forwardVector: state.forwardVector,
+    scale: piece.scale,
+    floorY,
+    restitution: config.wreckageRestitution,
+    friction: config.wreckageFriction,
+    hulkDuration: config.hulkDuration,
+    decalScale: config.debrisDecalScale,
+    decalColor: config.decalColor,
+    inheritVelocity: inheritVelocity.clone().multiplyScalar(inheritance.wreckage),
+    environment,
+    culled: i >= drawn.wreckage,
+  }));
+
+  state.chains = plan.chains.map(chain => ({ ...chain, fired: false }));
+  if (state.afterburn) {
+    state.fires.push(createAfterburnState({ position: origin, seed: deriveSeed(seed, 'afterburn') }));
+  }
+  pushExplosionEvent(state, world, output, 'start');
+};
+
+const advanceExplosion = (state, delta, world, output) => {
+  if (state.done) return;
+  if (!state.started) startExplosion(state, world, output);
+  state.time += delta * 1000;
+
+  const { config, blast } = state;
+  const emit = (type, localPosition, details) =>
+    pushExplosionEvent(state, world, output, type, localPosition, details);
+
+  if (state.flash) {
+    const { peaked } = state.flash;
+    stepFlash(state.flash, delta);
+    if (!peaked && state.flash.peaked) emit('flashPeak');
+    if (state.flash.done) state.flash = null;
+  }
+
+  state.shockwaves = state.shockwaves.filter(ring => {
+    const { started } = ring;
+    stepShockwave(ring, delta);
+    if (!started && ring.started) emit('shockwave', null, { ring: ring.id, radius: ring.maxScale });
+    return !ring.done;
+  });
+
+  // Nested explosions follow this one if it moves
+  state.children = state.children.filter(child => {
+    child.origin.copy(state.origin).add(child.offset);
+    advanceExplosion(child, delta, world, output);
+    return !child.done;
+  });
+
+  state.wreckage = state.wreckage.filter(piece => {
+    const landed = piece.landedAt;
+    stepWreckage(piece, delta, world, output);
+    if (!landed && piece.landedAt) {
+      const hitPosition = piece.landedAt.clone().sub(state.origin);
+      emit('wreckageLanded', hitPosition, { piece: piece.id });
+      if (state.showSecondary) {
+        spawnChildExplosion(state, hitPosition, config.secondaryClass, deriveSeed(piece.seed, 'secondary'));
+        emit('secondaryExplosion', hitPosition, { piece: piece.id, secondaryClass: config.secondaryClass });
+      }
+      if (state.afterburn?.wreckage) {
+        state.fires.push(createAfterburnState({
+          id: piece.id + 1,
+          position: piece.landedAt,
+          scale: EXPLOSION_CONFIG.AFTERBURN.WRECKAGE_SCALE,
+          seed: deriveSeed(piece.seed, 'afterburn'),
+        }));
+      }
+    }
+    return !piece.done;
+  });
+
+  // The blast site burns where the explosion is now; wreckage fires stay put
+  state.fires = state.fires.filter(fire => {
+    if (fire.id === 0) fire.position.copy(state.origin);
+    stepAfterburn(fire, delta, state.afterburn, output);
+    return !fire.done;
+  });
+
+  // Boss chains, timed on the simulation clock so they pause with the game.
+  // They go off where the inherited motion has carried them by then.
+  state.chains.forEach(chain => {
+    if (chain.fired || state.time < chain.delay) return;
+    chain.fired = true;
+    const drift = state.inheritVelocity.clone().multiplyScalar(config.velocityInheritance.chains);
+    const offset = chain.offset.clone().addScaledVector(drift, chain.delay / 1000);
+    emit('chainExplosion', offset, { chain: chain.id, chainClass: chain.explosionClass });
+    spawnChildExplosion(state, offset, chain.explosionClass, chain.seed, drift);
+  });
+
+  // The blast front expands with the first shockwave ring; targets are hit
+  // as it reaches them
+  if (world.blastTargets && !blast.done) {
+    const duration = EXPLOSION_CONFIG.SHOCKWAVE.DURATION * state.environment.shockwaveDuration;
+    const progress = Math.min(state.time / duration, 1);
+    const frontRadius = config.blastRadius * easeOutQuad(progress);
+    const hits = world.blastTargets
+      .query(blast.origin, config.blastRadius, getBlastOptions(config))
+      .filter(hit => hit.distance <= frontRadius && !blast.hit.includes(hit.id));
+    hits.forEach(hit => blast.hit.push(hit.id));
+    blast.done = progress >= 1;
+
+    if (hits.length) {
+      output.blasts.push({
+        hits,
+        blast: { origin: blast.origin.clone(), radius: config.blastRadius, explosionClass: config.name, seed: state.seed },
+      });
+    }
+  }
+
+  // Resting hulks, afterburn and nested explosions still playing keep the
+  // explosion alive, so it completes after everything it spawned
+  if (state.time > config.duration + 3000 && !state.wreckage.length && !state.fires.length && !state.children.length) {
+    state.done = true;
+    emit('complete');
+  }
+};
+
+/**
+ * Move everything an explosion left in world space (wreckage, and that of
+ * its nested explosions) by `matrix`, the motion of a frame it is attached
+ * to since the last step. Velocities turn with the frame.
+ */
+const carryExplosion = (state, matrix) => {
+  carriedRotation.setFromMatrix4(matrix);
+  state.wreckage.forEach(piece => {
+    piece.position.applyMatrix4(matrix);
+    piece.velocity.applyMatrix3(carriedRotation);
+    piece.landedAt?.applyMatrix4(matrix);
+  });
+  state.fires.forEach(fire => fire.position.applyMatrix4(matrix));
+  state.children.forEach(child => carryExplosion(child, matrix));
+};
+
+/**
+ * Advance an explosion state (and its chain / secondary explosions) by
+ * `delta` seconds of simulation time. `world` is optional:
+ *   time             clock time stamped on events (default: the state's own)
+ *   colliders, getGroundHeight   what wreckage and scorch marks hit
+ *   blastTargets     createBlastTargets() set to resolve blast hits against
+ *   decals           whether to request scorch marks
+ *   quality          governor that thins particles and culls rings and
+ *                    wreckage from drawing (never from the simulation)
+ *   forces           createForceFields() set moving wreckage
+ * Returns what happened during the step as plain data:
+ * { events, particles, decals, blasts } — particle and decal spawn requests
+ * in world space, and { hits, blast } entries for targets newly reached.
+ */
+const stepExplosion = (state, delta, world = {}) => {
+  const output = { events: [], particles: [], decals: [], blasts: [] };
+  advanceExplosion(state, delta, { ...world, time: world.time ?? state.time / 1000 + delta }, output);
+  return output;
+};
+
+// ============================================================================
+// EXPLOSION SEQUENCES
+// ============================================================================
+// Scripted destruction as data: a timeline of steps, each an explosion (or
+// only a cue) placed relative to an anchor Object3D or one of its named
+// children. Like explosions, a sequence is a plain state stepped on the
+// simulation clock, so it pauses with the game and replays from its seed.
+//
+//   const BOSS_DEATH = { name: 'BOSS_DEATH', steps: [
+//     { explosionClass: 'LARGE', point: 'leftWing', shake: 0.4, cue: 'wingLost' },
+//     { delay: 300, explosionClass: 'MEDIUM', repeat: 5, interval: 250, spread: [5, 2, 5] },
+//     { delay: 600, explosionClass: 'BOSS', cue: 'dead' },
+//   ] };
+
+const isVector = (value) => Array.isArray(value) && value.length === 3 && value.every(isNumber);
+
+const SEQUENCE_STEP_SCHEMA = {
+  at: (v) => isNumber(v) && v >= 0 ? null : 'must be a time in ms >= 0',
+  delay: (v) => isNumber(v) && v >= 0 ? null : 'must be a delay in ms >= 0',
+  explosionClass: (v) => typeof v === 'string' && v ? null : 'must be a class name',
+  point: (v) => typeof v === 'string' && v ? null : 'must be the name of an Object3D under the anchor',
+  offset: (v) => isVector(v) ? null : 'must be [x, y, z]',
+  spread: (v) => isVector(v) && v.every(n => n >= 0) ? null : 'must be [x, y, z] with numbers >= 0',
+  repeat: (v) => Number.isInteger(v) && v >= 1 ? null : 'must be an integer >= 1',
+  interval: (v) => isNumber(v) && v >= 0 ? null : 'must be a delay in ms >= 0',
+  forwardVector: (v) => isVector(v) ? null : 'must be [x, y, z]',
+  normal: (v) => isVector(v) ? null : 'must be [x, y, z]',
+  shape: (v) => EXPLOSION_SHAPES.includes(v) ? null : `must be one of ${EXPLOSION_SHAPES.join(', ')}`,
+  seed: (v) => isNumber(v) || typeof v === 'string' ? null : 'must be a number or string',
+  showWreckage: (v) => typeof v === 'boolean' ? null : 'must be a boolean',
+  showFlash: (v) => typeof v === 'boolean' ? null : 'must be a boolean',
+  showSecondary: (v) => typeof v === 'boolean' ? null : 'must be a boolean',
+  afterburn: (v) => typeof v === 'boolean' || CLASS_SCHEMA.afterburn(v) === null
+    ? null : 'must be a boolean or afterburn settings',
+  shake: (v) => isNumber(v) && v >= 0 ? null : 'must be a camera shake amount >= 0',
+  cue: (v) => typeof v === 'string' && v ? null : 'must be a non-empty string',
+};
+
+class ExplosionSequenceError extends Error {
+  constructor(sequenceName, issues) {
+    super(`Invalid explosion sequence "${sequenceName}":\n  - ${issues.join('\n  - ')}`);
+    this.name = 'ExplosionSequenceError';
+    this.sequenceName = sequenceName;
+    this.issues = issues;
+  }
+}
+
+/**
+ * Check a sequence ({ name, steps }) against SEQUENCE_STEP_SCHEMA.
+ * Returns a list of problems (empty when valid).
+ */
+const validateExplosionSequence = (sequence) => {
+  if (!sequence || typeof sequence !== 'object' || Array.isArray(sequence)) {
+    return ['sequence must be an object'];
+  }
+  const issues = Object.keys(sequence)
+    .filter(key => key !== 'name' && key !== 'steps')
+    .map(key => `unknown property "${key}"`);
+  if (!Array.isArray(sequence.steps) || !sequence.steps.length) {
+    return [...issues, 'steps must be a non-empty list'];
+  }
+  sequence.steps.forEach((step, i) => {
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      issues.push(`[${i}] must be an object`);
+      return;
+    }
+    Object.entries(step).forEach(([key, value]) => {
+      const validate = SEQUENCE_STEP_SCHEMA[key];
+      if (!validate) {
+        issues.push(`[${i}] unknown property "${key}"`);
+      } else {
+        const problem = validate(value);
+        if (problem) issues.push(`[${i}] ${key} ${problem}`);
+      }
+    });
+    if ('at' in step && 'delay' in step) issues.push(`[${i}] has both at and delay`);
+  });
+  return issues;
+};
+
+/**
+ * Lay a sequence out as plain data: one entry per firing (repeats
+ * expanded) with its time in ms, seed and random jitter, sorted by time.
+ * A step fires `at` ms after the start, or `delay` ms after the previous
+ * step's last firing. Throws ExplosionSequenceError when invalid.
+ */
+const createSequenceState = (sequence, { seed = createSeed() } = {}) => {
+  const name = sequence?.name ?? 'sequence';
+  const issues = validateExplosionSequence(sequence);
+  if (issues.length) throw new ExplosionSequenceError(name, issues);
+
+  const steps = [];
+  let time = 0;
+  sequence.steps.forEach((step, index) => {
+    time = step.at ?? time + (step.delay ?? 0);
+    for (let repeat = 0; repeat < (step.repeat ?? 1); repeat++) {
+      if (repeat > 0) time += step.interval ?? 0;
+      // A step's own seed is used as-is for its first firing
+      const stepSeed = 'seed' in step && repeat === 0
+        ? step.seed
+        : deriveSeed(step.seed ?? seed, `step:${index}:${repeat}`);
+      const random = createRandom(stepSeed);
+      const [spreadX, spreadY, spreadZ] = step.spread ?? [0, 0, 0];
+      steps.push({
+        index,
+        repeat,
+        time,
+        seed: stepSeed,
+        jitter: new Vector3(randomSpread(spreadX, random), randomSpread(spreadY, random), randomSpread(spreadZ, random)),
+        step,
+      });
+    }
+  });
+  steps.sort((a, b) => a.time - b.time);
+
+  return {
+    name,
+    seed,
+    steps,
+    duration: steps[steps.length - 1].time,
+    // Milliseconds of simulation time since the start
+    time: 0,
+    next: 0,
+    paused: false,
+    cancelled: false,
+    done: false,
+  };
+};
+
+// Advance a sequence by `delta` seconds; returns the entries now due
+const stepSequence = (state, delta) => {
+  if (state.done || state.cancelled || state.paused) return [];
+  state.time += delta * 1000;
+  const due = [];
+  while (state.next < state.steps.length && state.steps[state.next].time <= state.time) {
+    due.push(state.steps[state.next++]);
+  }
+  state.done = state.next >= state.steps.length;
+  return due;
+};
+
+const getSequenceProgress = (state) => ({
+  time: state.time,
+  duration: state.duration,
+  progress: state.done ? 1 : state.duration > 0 ? Math.min(state.time / state.duration, 1) : 0,
+  fired: state.next,
+  total: state.steps.length,
+  paused: state.paused,
+  cancelled: state.cancelled,
+  done: state.done,
+});
+
+/**
+ * World position of a due sequence entry. `anchor` is an optional Object3D
+ * and `position` the sequence's origin, local to the anchor (or world
+ * space without one). Steps naming a `point` are placed relative to that
+ * named descendant of the anchor instead.
+ */
+const resolveSequencePosition = ({ step, jitter }, anchor, position) => {
+  const local = toVector3(step.offset).add(jitter);
+  const point = findAttachPoint(anchor, step.point);
+  return toWorldPosition(point, point === anchor ? local.add(position) : local);
+};
+
+/**
+ * triggerExplosion options for a due entry, or null for cue-only steps.
+ * `position` is in world space.
+ */
+const createSequenceExplosion = (entry, position) => {
+  const { step, seed } = entry;
+  if (!step.explosionClass) return null;
+  return {
+    position,
+    explosionClass: step.explosionClass,
+    seed,
+    ...(step.forwardVector && { forwardVector: toVector3(step.forwardVector) }),
+    ...(step.normal && { normal: toVector3(step.normal) }),
+    ...(step.shape && { shape: step.shape }),
+    ...('showWreckage' in step && { showWreckage: step.showWreckage }),
+    ...('showFlash' in step && { showFlash: step.showFlash }),
+    ...('showSecondary' in step && { showSecondary: step.showSecondary }),
+    ...('afterburn' in step && { afterburn: step.afterburn }),
+  };
+};
+
+// 'sequenceStep' / 'sequenceComplete' event for a sequence
+const createSequenceEvent = (type, state, time, entry, position) => ({
+  type,
+  sequence: state.name,
+  seed: state.seed,
+  time,
+  ...(entry && {
+    step: entry.index,
+    repeat: entry.repeat,
+    explosionClass: entry.step.explosionClass ?? null,
+    cue: entry.step.cue ?? null,
+    shake: entry.step.shake ?? 0,
+    position,
+  }),
+});
+
+// ============================================================================
+// WRECKAGE FRAGMENTS
+// ============================================================================
+// Custom wreckage for triggerExplosion's `wreckage` option, resolved once per
+// explosion into fragments { geometry, material, scale, offset }:
+//   [geometry | mesh, ...]       one piece per entry, thrown from the origin
+//   object (e.g. a GLTF scene)   one piece per mesh, thrown from where it was
+//   { shards: object, count }    the object's bounding box split into
+//                                procedural shards in the object's colors
+// Geometry is baked in world orientation and centred, so `scale` is the
+// fragment's size and `offset` its centre relative to the source object's
+// world position. The simulation only sees { scale, offset }.
+
+const firstMaterial = (material) => Array.isArray(material) ? material[0] : material;
+
+// Clone `geometry` with `matrix` applied and centre it on its bounding box
+const bakeFragment = (geometry, matrix, material) => {
+  const baked = geometry.clone().applyMatrix4(matrix);
+  baked.computeBoundingBox();
+  const offset = baked.boundingBox.getCenter(new Vector3());
+  const scale = baked.boundingBox.getSize(new Vector3()).toArray().map(size => Math.max(size, 0.05));
+  baked.translate(-offset.x, -offset.y, -offset.z);
+  return { geometry: baked, material, scale, offset };
+};
+
+// Irregular chunk: an icosahedron with its corners pushed in and out,
+// stretched to `size`
+const createShardGeometry = (size, random) => {
+  const geometry = new IcosahedronGeometry(0.5, 0);
+  const position = geometry.attributes.position;
+  // Faces don't share vertices, so move every copy of a corner together
+  const corners = new Map();
+  for (let i = 0; i < position.count; i++) {
+    const key = [position.getX(i), position.getY(i), position.getZ(i)].map(v => v.toFixed(3)).join();
+    if (!corners.has(key)) corners.set(key, randomRange(0.6, 1.15, random));
+    const push = corners.get(key);
+    position.setXYZ(i, position.getX(i) * push * size.x, position.getY(i) * push * size.y, position.getZ(i) * push * size.z);
+  }
+  geometry.computeVertexNormals();
+  geometry.computeBoundingBox();
+  return geometry;
+};
+
+// Split the bounds of `meshes` into a grid and keep `count` random cells,
+// each colored like the mesh it falls in
+const createShardFragments = (meshes, origin, count, random, { color, emissive }) => {
+  const bounds = new Box3();
+  const parts = meshes.map(mesh => {
+    const box = new Box3().setFromObject(mesh);
+    bounds.union(box);
+    return { box, volume: box.getSize(new Vector3()).toArray().reduce((a, b) => a * b, 1), mesh };
+  });
+  if (bounds.isEmpty() || count < 1) return [];
+
+  const size = bounds.getSize(new Vector3()).max(new Vector3(0.1, 0.1, 0.1));
+  const cell = Math.cbrt(size.x * size.y * size.z / count);
+  const [nx, ny, nz] = size.toArray().map(length => Math.max(1, Math.ceil(length / cell)));
+  const cellSize = new Vector3(size.x / nx, size.y / ny, size.z / nz);
+
+  const cells = [];
+  for (let x = 0; x < nx; x++) {
+    for (let y = 0; y < ny; y++) {
+      for (let z = 0; z < nz; z++) cells.push([x, y, z]);
+    }
+  }
+  // Seeded shuffle so the kept cells are spread over the object
+  for (let i = cells.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [cells[i], cells[j]] = [cells[j], cells[i]];
+  }
+
+  const materials = new Map();
+  return cells.slice(0, count).map(([x, y, z]) => {
+    const centre = new Vector3(x + 0.5, y + 0.5, z + 0.5).multiply(cellSize).add(bounds.min);
+
+    // Smallest mesh containing the cell, else the nearest one
+    const part = parts
+      .filter(({ box }) => box.containsPoint(centre))
+      .sort((a, b) => a.volume - b.volume)[0] ??
+      parts.reduce((nearest, candidate) =>
+        candidate.box.distanceToPoint(centre) < nearest.box.distanceToPoint(centre) ? candidate : nearest);
+    const shardColor = firstMaterial(part.mesh.material)?.color ?? new Color(color);
+
+    const key = shardColor.getHexString();
+    if (!materials.has(key)) {
+      materials.set(key, new MeshStandardMaterial({
+        color: shardColor,
+        metalness: 0.6,
+        roughness: 0.5,
+        emissive,
+        emissiveIntensity: 0.5,
+        flatShading: true,
+      }));
+    }
+
+    const geometry = createShardGeometry(cellSize, random);
+    return {
+      geometry,
+      material: materials.get(key),
+      scale: geometry.boundingBox.getSize(new Vector3()).toArray(),
+      offset: centre.sub(origin),
+    };
+  });
+};
+
+/**
+ * Resolve a wreckage source (see above) into fragments. `count` is the
+ * number of procedural shards, `seed` shapes them, `color` / `emissive`
+ * style shards with no mesh color to inherit. Materials of source meshes
+ * are cloned, so the fragments can outlive the object they came from;
+ * free them with disposeWreckageFragments.
+ */
+const createWreckageFragments = (source, {
+  count = EXPLOSION_CONFIG.WRECKAGE.SHARD_COUNT,
+  seed = createSeed(),
+  color = '#1a1a1a',
+  emissive = '#110800',
+} = {}) => {
+  const clones = new Map();
+  const cloneMaterial = (material) => {
+    if (!material) return null;
+    if (!clones.has(material)) clones.set(material, material.clone());
+    return clones.get(material);
+  };
+
+  // Templates: orientation and scale are kept, position is not
+  if (Array.isArray(source)) {
+    return source.map(item => {
+      const fragment = item.isBufferGeometry
+        ? bakeFragment(item, new Matrix4(), null)
+        : bakeFragment(item.geometry, new Matrix4().compose(new Vector3(), item.quaternion, item.scale), cloneMaterial(firstMaterial(item.material)));
+      fragment.offset.set(0, 0, 0);
+      return fragment;
+    });
+  }
+
+  // A detached object (a removed enemy, an unadded GLTF scene) keeps the
+  // world transform it last had
+  const root = source.shards ?? source;
+  root.updateWorldMatrix(Boolean(root.parent), true);
+  const origin = new Vector3().setFromMatrixPosition(root.matrixWorld);
+  const meshes = [];
+  root.traverse(child => {
+    if (child.isMesh && child.geometry) meshes.push(child);
+  });
+
+  if (source.shards) {
+    return createShardFragments(meshes, origin, source.count ?? count, createRandom(seed), { color, emissive });
+  }
+  return meshes.map(mesh => {
+    const matrix = mesh.matrixWorld.clone();
+    matrix.elements[12] -= origin.x;
+    matrix.elements[13] -= origin.y;
+    matrix.elements[14] -= origin.z;
+    return bakeFragment(mesh.geometry, matrix, cloneMaterial(firstMaterial(mesh.material)));
+  });
+};
+
+const disposeWreckageFragments = (fragments) => {
+  const materials = new Set();
+  fragments.forEach(fragment => {
+    fragment.geometry.dispose();
+    if (fragment.material) materials.add(fragment.material);
+  });
+  materials.forEach(material => material.dispose());
+};
+
+// ============================================================================
+// EFFECTS
+// ============================================================================
+// Each effect draws one simulation state: `object` goes into the scene graph
+// and sync() copies the state onto it. Used on their own, update(delta) also
+// steps the state on the simulation clock until `done`; inside an
+// explosion, stepExplosion() does the stepping. dispose() detaches the object
+// and frees its geometry and materials.
+
+// Update every effect in the list and drop (and dispose) the finished ones
+const stepEffects = (effects, delta) => effects.filter(effect => {
+  effect.update(delta);
+  if (!effect.done) return true;
+  effect.dispose();
+  return false;
+});
+
+const RING_FACING = new Vector3(0, 0, 1);
+
+// One puff of smoke trail in `environment` (resolved, air by default). Returns
+// false when it was culled or the environment has no smoke.
+const spawnSmokeTrail = (particles, position, velocity, size, random = Math.random, onComplete, environment) => {
+  const particle = createSmokeTrailParticle(position, velocity, size, random, environment);
+  return particle ? particles.spawn({ ...particle, onComplete }) : false;
+};
+
+class ShockwaveEffect {
+  constructor({ position, color = '#ffaa44', state, onStart, onComplete, ...options }) {
+    this.state = state ?? createShockwaveState(options);
+    this.sphere = this.state.form === 'sphere';
+    this.object = new Mesh(
+      this.sphere ? new SphereGeometry(1, 24, 16) : new RingGeometry(0.8, 1, 32),
+      new MeshBasicMaterial({
+        color,
+        transparent: true,
+        opacity: this.state.maxOpacity,
+        side: DoubleSide,
+        blending: AdditiveBlending,
+        depthWrite: false,
+      })
+    );
+    toVector3(position, this.object.position);
+    // The ring geometry faces +Z; turn it to face along the state's normal
+    this.object.quaternion.setFromUnitVectors(RING_FACING, this.state.normal);
+    this.onStart = onStart;
+    this.onComplete = onComplete;
+    this.sync();
+  }
+
+  get done() {
+    return this.state.done;
+  }
+
+  update(delta) {
+    const { state } = this;
+    if (state.done) return;
+    const { started } = state;
+    stepShockwave(state, delta);
+    if (!started && state.started) this.onStart?.();
+    if (state.done) this.onComplete?.();
+    this.sync();
+  }
+
+  sync() {
+    const { state } = this;
+    this.object.visible = state.started && !state.done;
+    this.object.scale.set(state.scale, state.scale, this.sphere ? state.scale : 1);
+    this.object.material.opacity = state.opacity;
+  }
+
+  dispose() {
+    this.object.removeFromParent();
+    this.object.geometry.dispose();
+    this.object.material.dispose();
+  }
+}
+
+// Core burst. With a light pool (`lights`) its light is a pooled source,
+// otherwise it carries its own point light.
+class FlashEffect {
+  constructor({ position, lights, state, onPeak, onComplete, ...options }) {
+    this.state = state ?? createFlashState(options);
+    this.object = new Group();
+    toVector3(position, this.object.position);
+    this.mesh = new Mesh(
+      new IcosahedronGeometry(1, 1),
+      new MeshBasicMaterial({
+        color: '#ffffff',
+        transparent: true,
+        opacity: 1,
+        blending: AdditiveBlending,
+        depthWrite: false,
+      })
+    );
+    this.object.add(this.mesh);
+
+    const { lightIntensity, lightDistance } = this.state;
+    this.light = { position: new Vector3(), color: new Color('#ffaa44'), intensity: 0, distance: lightDistance };
+    if (lights) {
+      this.removeLight = lights.add(this.light);
+    } else {
+      this.ownLight = new PointLight('#ffaa44', lightIntensity, lightDistance);
+      this.object.add(this.ownLight);
+    }
+
+    this.onPeak = onPeak;
+    this.onComplete = onComplete;
+    this.sync();
+  }
+
+  get done() {
+    return this.state.done;
+  }
+
+  update(delta) {
+    const { state } = this;
+    if (state.done) return;
+    const { peaked } = state;
+    stepFlash(state, delta);
+    if (!peaked && state.peaked) this.onPeak?.();
+    if (state.done) this.onComplete?.();
+    this.sync();
+  }
+
+  sync() {
+    const { state } = this;
+    this.object.visible = !state.done;
+    this.mesh.scale.setScalar(state.size);
+    this.mesh.material.opacity = state.opacity;
+    if (this.ownLight) {
+      this.ownLight.intensity = state.intensity;
+    } else {
+      this.mesh.getWorldPosition(this.light.position);
+      this.light.intensity = state.intensity;
+    }
+  }
+
+  dispose() {
+    this.removeLight?.();
+    this.object.removeFromParent();
+    this.mesh.geometry.dispose();
+    this.mesh.material.dispose();
+    this.ownLight?.dispose();
+  }
+}
+
+// One piece of falling wreckage. Simulated in world space so debris collides
+// with world geometry and is not dragged along if its parent moves. On its
+// own, `groundY` is relative to the parent and the state is created on the
+// first update, once the piece is in the scene. A `geometry` (and
+// `material`) replaces the class shape; both stay owned by the caller.
+// Needs the engine for particles, collision, decals and lights.
+class WreckageEffect {
+  constructor(engine, {
+    position,
+    state = null,
+    colliders,
+    getGroundHeight,
+    shape = 'box',
+    color = '#1a1a1a',
+    emissive = '#110800',
+    geometry,
+    material,
+    onGroundHit,
+    onComplete,
+    ...options
+  }) {
+    this.engine = engine;
+    this.state = state;
+    this.object = new Group();
+    toVector3(position, this.object.position);
+
+    geometry?.computeBoundingBox();
+    const scale = state?.scale ?? options.scale ??
+      geometry?.boundingBox.getSize(new Vector3()).toArray() ?? [0.6, 0.35, 0.9];
+    this.options = { ...options, scale };
+
+    const body = new Mesh(
+      geometry ?? (shape === 'shard'
+        ? new TetrahedronGeometry(0.6, 0)
+        : new BoxGeometry(...(shape === 'panel' ? [scale[0], scale[1] * 0.2, scale[2]] : scale))),
+      material ?? new MeshStandardMaterial({ color, metalness: 0.8, roughness: 0.3, emissive, emissiveIntensity: 0.5 })
+    );
+    if (shape === 'shard' && !geometry) body.scale.set(...scale);
+    // Glowing hot spot
+    this.glow = new Mesh(
+      new SphereGeometry(scale[1] * 0.3, 4, 4),
+      new MeshBasicMaterial({ color: '#ff4400', transparent: true, opacity: 0.8 })
+    );
+    this.glow.position.set(scale[0] * 0.3, 0, 0);
+    this.object.add(body, this.glow);
+    // Only what the effect created is disposed with it
+    this.owned = [this.glow.geometry, this.glow.material];
+    if (!geometry) this.owned.push(body.geometry);
+    if (!material) this.owned.push(body.material);
+
+    // Trailing ember, faded while the piece cools as a hulk
+    this.ember = { position: new Vector3(), color: new Color('#ff4400'), intensity: 0, distance: 5 };
+    this.removeLight = engine.lights?.add(this.ember);
+
+    this.colliders = colliders;
+    this.getGroundHeight = getGroundHeight;
+    this.onGroundHit = onGroundHit;
+    this.onComplete = onComplete;
+  }
+
+  get done() {
+    return Boolean(this.state?.done);
+  }
+
+  update(delta) {
+    const { engine } = this;
+    const { parent } = this.object;
+
+    if (!this.state) {
+      const { groundY = EXPLOSION_CONFIG.WRECKAGE.GROUND_Y, ...options } = this.options;
+      this.state = createWreckageState({
+        ...options,
+        environment: options.environment ?? engine.environment,
+        position: toWorldPosition(parent, this.object.position),
+        floorY: toWorldPosition(parent, new Vector3(0, groundY, 0)).y,
+      });
+    }
+
+    const { state } = this;
+    if (state.done) return;
+    const landed = state.landedAt;
+    engine.apply(stepWreckage(state, delta, {
+      colliders: this.colliders ?? engine.collision.colliders,
+      getGroundHeight: this.getGroundHeight ?? engine.collision.getGroundHeight,
+      decals: Boolean(engine.decals),
+      forces: engine.forces,
+    }));
+
+    if (!landed && state.landedAt) {
+      this.onGroundHit?.(parent ? parent.worldToLocal(state.landedAt.clone()) : state.landedAt.clone());
+    }
+    if (state.done) this.onComplete?.();
+    this.sync();
+  }
+
+  sync() {
+    const { state } = this;
+    if (!state) return;
+    this.object.visible = !state.done;
+    this.object.position.copy(state.position);
+    this.object.parent?.worldToLocal(this.object.position);
+    this.object.rotation.setFromVector3(state.rotation);
+    this.glow.material.opacity = 0.8 * state.heat;
+    this.ember.position.copy(state.position);
+    this.ember.intensity = state.done ? 0 : 3 * state.heat;
+  }
+
+  dispose() {
+    this.removeLight?.();
+    this.object.removeFromParent();
+    this.owned.forEach(resource => resource.dispose());
+  }
+}
+
+// ============================================================================
+// EXPLOSION INSTANCE
+// ============================================================================
+// One explosion and everything it spawns: particles, scorch decal, flash,
+// shockwave rings, wreckage, boss chains and secondary ground explosions,
+// the progressive blast front and lifecycle events. The simulation is an
+// explosion state stepped by stepExplosion(); the instance feeds its output
+// into the engine and an ExplosionView draws the state.
+// Created through ExplosionEngine.triggerExplosion.
+
+// Draws an explosion state: a group holding a view per flash, ring, piece of
+// wreckage and nested explosion, created and disposed as they come and go.
+// `fragments` are the custom wreckage meshes, by piece id.
+class ExplosionView {
+  constructor(engine, state, fragments = null) {
+    this.engine = engine;
+    this.state = state;
+    this.fragments = fragments;
+    this.object = new Group();
+    this.object.position.copy(state.offset);
+    this.views = new Map();
+  }
+
+  sync() {
+    const { engine, state } = this;
+    const { config } = state;
+    const live = new Set();
+    const show = (item, create) => {
+      live.add(item);
+      let view = this.views.get(item);
+      if (!view) {
+        view = create();
+        this.object.add(view.object);
+        this.views.set(item, view);
+      }
+      view.sync();
+    };
+
+    if (state.flash) show(state.flash, () => new FlashEffect({ state: state.flash, lights: engine.lights }));
+    // Rings and pieces culled by the quality budget simulate but are not drawn
+    state.shockwaves.filter(ring => !ring.culled).forEach(ring => show(ring, () => new ShockwaveEffect({
+      state: ring,
+      color: tintColor(config.shockwaveColor, state.environment.tint),
+    })));
+    state.wreckage.filter(piece => !piece.culled).forEach(piece => show(piece, () => new WreckageEffect(engine, {
+      state: piece,
+      shape: config.wreckageShape,
+      color: config.wreckageColor,
+      emissive: config.wreckageEmissive,
+      geometry: this.fragments?.[piece.id].geometry,
+      material: this.fragments?.[piece.id].material,
+    })));
+    state.children.forEach(child => show(child, () => new ExplosionView(engine, child)));
+
+    this.views.forEach((view, item) => {
+      if (live.has(item)) return;
+      view.dispose();
+      this.views.delete(item);
+    });
+  }
+
+  dispose() {
+    this.views.forEach(view => view.dispose());
+    this.views.clear();
+    this.object.removeFromParent();
+  }
+}
+
+class ExplosionInstance {
+  constructor(engine, {
+    position,
+    parent = engine.scene,
+    point,
+    colliders,
+    getGroundHeight,
+    blastTargets,
+    onBlast,
+    onEvent,
+    onComplete,
+    wreckage,
+    attach = false,
+    explosionClass = 'MEDIUM',
+    classes,
+    seed = createSeed(),
+    ...options
+  }) {
+    this.engine = engine;
+    this.colliders = colliders;
+    this.getGroundHeight = getGroundHeight;
+    this.blastTargets = blastTargets;
+    this.onBlast = onBlast;
+    this.onEvent = onEvent;
+    this.onComplete = onComplete;
+
+    // Custom wreckage is broken into fragments once, at the start
+    const config = resolveExplosionClass(explosionClass, classes);
+    this.fragments = wreckage && options.showWreckage !== false
+      ? createWreckageFragments(wreckage, {
+        seed: deriveSeed(seed, 'fragments'),
+        color: config.wreckageColor,
+        emissive: config.wreckageEmissive,
+      })
+      : null;
+
+    this.state = createExplosionState({
+      ...options,
+      environment: options.environment ?? engine.environment,
+      config,
+      classes,
+      seed,
+      fragments: this.fragments?.map(({ scale, offset }) => ({ scale, offset: offset.toArray() })),
+    });
+    this.view = new ExplosionView(engine, this.state, this.fragments);
+    this.object = this.view.object;
+    toVector3(position, this.object.position);
+    const anchor = findAttachPoint(parent, point);
+    anchor.add(this.object);
+    // Once the anchor leaves this root (its model was removed), the
+    // explosion stays where the anchor was last seen
+    this.root = getRootObject(anchor);
+
+    // Attached explosions carry their particles and wreckage along with the
+    // anchor's motion instead of leaving them behind in world space
+    this.frame = attach ? engine.attachFrame(anchor) : null;
+  }
+
+  get config() {
+    return this.state.config;
+  }
+
+  get done() {
+    return this.state.done;
+  }
+
+  get wreckageCount() {
+    const count = (state) => state.children.reduce(
+      (total, child) => total + count(child),
+      state.wreckage.filter(piece => !piece.culled).length
+    );
+    return count(this.state);
+  }
+
+  update(delta) {
+    const { engine, state } = this;
+    if (state.done) return;
+
+    if (getRootObject(this.object) !== this.root) this.detach();
+    // Follow the parent if it moves
+    toWorldPosition(this.object, new Vector3(), state.origin);
+    if (this.frame) carryExplosion(state, this.frame.motion);
+    const output = stepExplosion(state, delta, {
+      time: engine.clock.time,
+      colliders: this.colliders ?? engine.collision.colliders,
+      getGroundHeight: this.getGroundHeight ?? engine.collision.getGroundHeight,
+      blastTargets: this.onBlast && this.blastTargets,
+      decals: Boolean(engine.decals),
+      quality: engine.quality,
+      forces: engine.forces,
+    });
+
+    if (this.frame) output.particles.forEach(particle => { particle.frame = this.frame.id; });
+    engine.apply(output);
+    output.events.forEach(event => {
+      if (event.depth === 0) this.onEvent?.(event);
+    });
+    output.blasts.forEach(({ hits, blast }) => this.onBlast(hits, blast));
+    this.view.sync();
+
+    if (state.done) this.onComplete?.();
+  }
+
+  // Move to the root at the last world transform the anchor had, since a
+  // removed model's matrices are no longer kept up to date
+  detach() {
+    this.object.matrixWorld.decompose(this.object.position, this.object.quaternion, this.object.scale);
+    this.root.add(this.object);
+    if (this.frame) this.engine.releaseFrame(this.frame);
+    this.frame = null;
+  }
+
+  // Particles and decals already spawned stay in the engine's systems
+  dispose() {
+    this.view.dispose();
+    if (this.fragments) disposeWreckageFragments(this.fragments);
+    this.fragments = null;
+    if (this.frame) this.engine.releaseFrame(this.frame);
+    this.frame = null;
+  }
+}
+
+// ============================================================================
+// EXPLOSION ENGINE
+// ============================================================================
+// Framework-agnostic entry point: owns the shared particle, decal and light
+// systems, the quality governor, lifecycle events, blast targets and every
+// live explosion. The React components run on this same engine.
+//
+//   const engine = new ExplosionEngine(scene, { camera, decals: true });
+//   engine.triggerExplosion({ position: [0, 2, 0], explosionClass: 'LARGE' });
+//   // every frame, before rendering:
+//   engine.update(delta);
+
+const drawingBufferSize = new Vector2();
+// Writes depth only; stands in for every material in the soft-particle pass
+const depthOnlyMaterial = new MeshBasicMaterial({ colorWrite: false });
+
+class ExplosionEngine {
+  constructor(scene, {
+    camera = null,
+    maxParticles,
+    timeScale = 1,
+    colliders,
+    getGroundHeight,
+    decals = false,
+    quality = 'high',
+    softParticles = false,
+    sprites = null,
+    forces,
+    environment = 'air',
+  } = {}) {
+    this.scene = scene;
+    this.camera = camera;
+    this.particles = new ParticleSystem(maxParticles);
+    this.clock = { time: 0, delta: 0, timeScale: 1 };
+    this.collision = { colliders: null, getGroundHeight: null };
+    // Wind, fields and gravity scale shared by every particle and piece
+    this.forces = createForceFields();
+    // Medium new explosions and wreckage go off in (see resolveEnvironment)
+    this.environment = resolveEnvironment();
+    // Every explosion of this engine publishes its lifecycle events here
+    this.events = createExplosionEvents();
+    this.blastTargets = createBlastTargets();
+    this.quality = createQualityGovernor(this.particles);
+    this.lights = new LightPool(0);
+    this.decals = null;
+    // Scene depth for soft particles, rendered by renderDepth()
+    this.depthTarget = null;
+
+    this.explosions = new Map();
+    // Moving frames attached explosions ride along with, by Object3D
+    this.frames = new Map();
+    this.nextFrameId = 1;
+    this.effects = [];
+    this.timers = [];
+    this.sequences = new Map();
+    this.nextId = 0;
+    this.nextSequenceId = 0;
+    this.lastClass = null;
+
+    // Particles, decals and lights live in world space at the scene root
+    this.object = new Group();
+    this.object.add(this.particles.object, this.lights.object);
+    scene?.add(this.object);
+
+    this.configure({ timeScale, colliders, getGroundHeight, decals, quality, softParticles, sprites, forces, environment });
+  }
+
+  /**
+   * Change settings after construction. Only the keys present are applied:
+   * timeScale, colliders, getGroundHeight, decals (true or
+   * { max, lifetime, fade }), quality, softParticles (true or
+   * { softness, depthTexture }), sprites ({ name: { texture, columns, rows } }),
+   * forces ({ gravity, fields }, see createForceFields) and environment
+   * ('air', 'vacuum', 'water' or overrides, see resolveEnvironment), which
+   * applies to explosions triggered from then on.
+   */
+  configure(options) {
+    if ('timeScale' in options) this.clock.timeScale = Math.max(0, options.timeScale ?? 1);
+    // World geometry wreckage collides with, read every frame
+    if ('colliders' in options) this.collision.colliders = options.colliders || null;
+    if ('getGroundHeight' in options) this.collision.getGroundHeight = options.getGroundHeight || null;
+
+    if ('decals' in options) {
+      const decalOptions = options.decals === true ? {} : options.decals || null;
+      const max = decalOptions?.max ?? EXPLOSION_CONFIG.DECALS.MAX;
+      // Keep the decals already placed unless the buffer size changes
+      if (this.decals && (!decalOptions || this.decals.capacity !== max)) {
+        this.decals.mesh.removeFromParent();
+        this.decals.dispose();
+        this.decals = null;
+      }
+      if (decalOptions && !this.decals) {
+        this.decals = new DecalSystem(decalOptions);
+        this.object.add(this.decals.mesh);
+      }
+      if (this.decals) {
+        this.decals.lifetime = decalOptions.lifetime ?? EXPLOSION_CONFIG.DECALS.LIFETIME;
+        this.decals.fade = decalOptions.fade ?? EXPLOSION_CONFIG.DECALS.FADE;
+      }
+    }
+
+    if ('quality' in options) {
+      this.quality.configure(options.quality);
+      this.lights.resize(this.quality.maxLights);
+    }
+
+    if ('sprites' in options) this.particles.setSprites(options.sprites || null);
+    if ('forces' in options) configureForceFields(this.forces, options.forces);
+    if ('environment' in options) this.environment = resolveEnvironment(options.environment ?? 'air');
+
+    if ('softParticles' in options) {
+      const softOptions = options.softParticles === true ? {} : options.softParticles || null;
+      // Without a depth texture of the caller's, renderDepth() fills our own
+      const ownDepth = softOptions && !softOptions.depthTexture;
+      if (ownDepth && !this.depthTarget) {
+        this.depthTarget = new WebGLRenderTarget(1, 1, { depthTexture: new DepthTexture(1, 1) });
+      } else if (!ownDepth && this.depthTarget) {
+        this.depthTarget.depthTexture.dispose();
+        this.depthTarget.dispose();
+        this.depthTarget = null;
+      }
+      this.particles.setSoftParticles(softOptions && {
+        softness: softOptions.softness,
+        depthTexture: softOptions.depthTexture ?? this.depthTarget.depthTexture,
+      });
+    }
+  }
+
+  /**
+   * Start an explosion and return its id. Options are those of
+   * useExplosionManager().triggerExplosion plus `parent` (Object3D the
+   * explosion is attached to, the scene by default; `position` is local to
+   * it), `point` (name of a descendant of `parent` to attach to instead,
+   * such as a turret), `attach` (carry particles and wreckage along with a
+   * moving `parent`), `classes` (extra class definitions), `colliders`,
+   * `getGroundHeight`, `onEvent` and `onComplete`. Blast hits go to `onBlast` and are tested
+   * against the engine's registered targets unless `blastTargets` is given.
+   * An explosion whose parent is removed from the scene finishes where the
+   * parent was last seen. `environment` overrides the engine's for this
+   * explosion.
+   */
+  triggerExplosion({ onBlast, onEvent, onComplete, ...options } = {}) {
+    const id = this.nextId++;
+    const explosion = new ExplosionInstance(this, {
+      blastTargets: this.blastTargets,
+      ...options,
+      onBlast: onBlast && ((hits, blast) => onBlast(hits, { ...blast, id })),
+      onEvent: onEvent && (event => onEvent({ ...event, id })),
+      onComplete: () => {
+        this.removeExplosion(id);
+        onComplete?.(id);
+      },
+    });
+    this.explosions.set(id, explosion);
+    this.lastClass = explosion.config.name;
+    return id;
+  }
+
+  /**
+   * Play an explosion sequence ({ name, steps }, see createSequenceState) and
+   * return its id. `anchor` is the Object3D steps are placed relative to and
+   * `position` the sequence origin, local to it. Every step publishes a
+   * 'sequenceStep' event (to `onStep` too, with the id of the explosion it
+   * triggered) and the last a 'sequenceComplete'. Other options, such as
+   * `classes`, `blastTargets` or `onBlast`, are passed to each explosion.
+   * `trigger(options)` starts a step's explosion and returns its id
+   * (triggerExplosion by default); useExplosionManager plays its steps as
+   * its own explosions through it.
+   */
+  playSequence(sequence, { anchor = null, position, seed, onStep, onEvent, onComplete, trigger, ...options } = {}) {
+    const state = createSequenceState(sequence, { seed });
+    const id = this.nextSequenceId++;
+    this.sequences.set(id, {
+      state,
+      anchor,
+      position: toVector3(position),
+      options,
+      trigger: trigger ?? (explosion => this.triggerExplosion(explosion)),
+      onStep,
+      onEvent,
+      onComplete,
+    });
+    return id;
+  }
+
+  pauseSequence(id) {
+    const sequence = this.sequences.get(id);
+    if (sequence) sequence.state.paused = true;
+  }
+
+  resumeSequence(id) {
+    const sequence = this.sequences.get(id);
+    if (sequence) sequence.state.paused = false;
+  }
+
+  // Stop a sequence; explosions it already triggered play out
+  cancelSequence(id) {
+    const sequence = this.sequences.get(id);
+    if (!sequence || sequence.state.done || sequence.state.cancelled) return;
+    sequence.state.cancelled = true;
+    this.sequences.set(id, { state: sequence.state });
+  }
+
+  // Forget a sequence, cancelling it if it is still playing
+  releaseSequence(id) {
+    this.cancelSequence(id);
+    this.sequences.delete(id);
+  }
+
+  /**
+   * { time, duration, progress, fired, total, paused, cancelled, done }, or
+   * null for an unknown id. Finished and cancelled sequences stay readable
+   * until releaseSequence(id) or clearAll().
+   */
+  getSequenceProgress(id) {
+    const sequence = this.sequences.get(id);
+    return sequence ? getSequenceProgress(sequence.state) : null;
+  }
+
+  updateSequences(delta) {
+    this.sequences.forEach((sequence, id) => {
+      const { state, anchor, position, options, trigger, onStep, onEvent, onComplete } = sequence;
+      if (state.done || state.cancelled) return;
+      const publish = (event) => {
+        this.events.emit({ ...event, id });
+        onEvent?.({ ...event, id });
+      };
+
+      stepSequence(state, delta).forEach(entry => {
+        const worldPosition = resolveSequencePosition(entry, anchor, position);
+        const explosion = createSequenceExplosion(entry, worldPosition);
+        const explosionId = explosion ? trigger({ ...options, ...explosion }) : null;
+        const event = createSequenceEvent('sequenceStep', state, this.clock.time, entry, worldPosition);
+        publish(event);
+        onStep?.({ ...event, id }, explosionId);
+      });
+
+      if (state.done) {
+        // Only the state is kept, so its progress stays readable
+        this.sequences.set(id, { state });
+        publish(createSequenceEvent('sequenceComplete', state, this.clock.time));
+        onComplete?.(id);
+      }
+    });
+  }
+
+  /**
+   * Track `object` as a moving frame. Each update, `frame.motion` is the
+   * frame's world transform change since the last one, and the particles
+   * spawned with `frame.id` are carried by it. Pair with releaseFrame.
+   */
+  attachFrame(object) {
+    let frame = this.frames.get(object);
+    if (!frame) {
+      object.updateWorldMatrix(true, false);
+      frame = {
+        id: this.nextFrameId,
+        object,
+        root: getRootObject(object),
+        matrix: object.matrixWorld.clone(),
+        motion: new Matrix4(),
+        users: 0,
+      };
+      this.nextFrameId = (this.nextFrameId % 0xffff) + 1;
+      this.frames.set(object, frame);
+    }
+    frame.users++;
+    return frame;
+  }
+
+  // Frames stay tracked until their last particle has died
+  releaseFrame(frame) {
+    frame.users = Math.max(0, frame.users - 1);
+  }
+
+  updateFrames() {
+    this.frames.forEach((frame, object) => {
+      // A frame removed from the scene stops moving; its particles stay put
+      if ((!frame.users && !this.particles.hasFrame(frame.id)) || getRootObject(object) !== frame.root) {
+        this.frames.delete(object);
+        return;
+      }
+      object.updateWorldMatrix(true, false);
+      frame.motion.copy(frame.matrix).invert().premultiply(object.matrixWorld);
+      frame.matrix.copy(object.matrixWorld);
+      this.particles.carry(frame.id, frame.motion);
+    });
+  }
+
+  // Stop an explosion early; particles it already spawned fade out normally
+  removeExplosion(id) {
+    this.explosions.get(id)?.dispose();
+    this.explosions.delete(id);
+  }
+
+  /**
+   * Play one piece of an explosion on its own at `position`, sized like a
+   * MEDIUM explosion: 'shockwave', 'particles', 'wreckage', 'smoke' or 'flash'.
+   */
+  triggerEffect(name, position, forwardVector = new Vector3(0, 0, -1)) {
+    const config = resolveExplosionClass('MEDIUM');
+    const origin = toVector3(position);
+    const forward = toVector3(forwardVector);
+
+    switch (name) {
+      case 'shockwave':
+        this.addEffect(new ShockwaveEffect({
+          position: origin,
+          maxScale: config.shockwaveScale,
+          color: config.shockwaveColor,
+        }));
+        break;
+      case 'particles': {
+        const emitters = [{ type: 'fire', count: 10 }, { type: 'spark', count: 10 }];
+        this.apply({ particles: createPlanParticles(generateExplosion({ config: { ...config, emitters } }), origin) });
+        break;
+      }
+      case 'wreckage':
+        this.addEffect(new WreckageEffect(this, {
+          position: origin,
+          forwardVector: forward,
+          scale: config.wreckageScale,
+          // The effect is parented to the scene, so the floor is absolute
+          groundY: origin.y + EXPLOSION_CONFIG.WRECKAGE.GROUND_Y,
+        }));
+        break;
+      case 'smoke':
+        for (let i = 0; i < 15; i++) {
+          this.schedule(i * 0.05, () => spawnSmokeTrail(
+            this.particles,
+            origin.clone().add(new Vector3(randomSpread(1), i * 0.2, randomSpread(1))),
+            new Vector3(randomSpread(0.3), randomRange(1, 2), randomSpread(0.3)),
+            randomRange(0.4, 0.8),
+            Math.random,
+            undefined,
+            this.environment
+          ));
+        }
+        break;
+      case 'flash':
+        this.addEffect(new FlashEffect({ position: origin, scale: 3, lights: this.lights }));
+        break;
+      default:
+        console.warn(`[ExplosionEngine] Unknown effect "${name}"`);
+    }
+  }
+
+  /**
+   * Feed what a simulation step produced (stepExplosion / stepWreckage
+   * output) into the engine: spawn its particles, place its decals and
+   * publish its events.
+   */
+  apply({ events, particles, decals }) {
+    particles?.forEach(particle => this.particles.spawn(particle));
+    if (this.decals) decals?.forEach(decal => this.decals.add(decal));
+    events?.forEach(event => this.events.emit(event));
+  }
+
+  addEffect(effect) {
+    this.scene.add(effect.object);
+    this.effects.push(effect);
+    return effect;
+  }
+
+  // Run `callback` after `delay` seconds of simulation time
+  schedule(delay, callback) {
+    this.timers.push({ time: this.clock.time + delay, callback });
+  }
+
+  /**
+   * Step everything by `delta` real seconds (clamped, then scaled by
+   * timeScale). `camera` drives distance LOD and light ranking; it defaults
+   * to the one given to the constructor.
+   */
+  update(delta, camera = this.camera) {
+    const { clock, quality } = this;
+    clock.delta = Math.min(delta, EXPLOSION_CONFIG.CLOCK.MAX_DELTA) * clock.timeScale;
+    clock.time += clock.delta;
+
+    camera?.getWorldPosition(quality.cameraPosition);
+    quality.update(delta);
+    this.lights.update(quality.cameraPosition, quality);
+    this.updateFrames();
+    this.particles.syncSoftParticles(camera);
+    stepForceFields(this.forces, clock.delta);
+    this.particles.update(clock.delta, this.forces);
+    this.decals?.update(clock.delta);
+
+    if (this.timers.length) {
+      const due = this.timers.filter(timer => timer.time <= clock.time);
+      this.timers = this.timers.filter(timer => timer.time > clock.time);
+      due.forEach(timer => timer.callback());
+    }
+
+    this.updateSequences(clock.delta);
+    this.explosions.forEach(explosion => explosion.update(clock.delta));
+    this.effects = stepEffects(this.effects, clock.delta);
+  }
+
+  /**
+   * Render the depth of the scene, minus explosions, for soft particles.
+   * Call it every frame before rendering when `softParticles` is on without
+   * a depthTexture of your own; the React runtime does this for you.
+   */
+  renderDepth(renderer, camera = this.camera) {
+    const { depthTarget: target, scene } = this;
+    if (!target || !camera || !scene) return;
+
+    renderer.getDrawingBufferSize(drawingBufferSize);
+    if (target.width !== drawingBufferSize.x || target.height !== drawingBufferSize.y) {
+      target.setSize(drawingBufferSize.x, drawingBufferSize.y);
+    }
+
+    // Hide everything the engine draws so particles only fade into the level
+    const hidden = [this.object, ...[...this.explosions.values(), ...this.effects].map(({ object }) => object)]
+      .filter(object => object.visible);
+    hidden.forEach(object => { object.visible = false; });
+    const { overrideMaterial } = scene;
+    const { autoUpdate } = renderer.shadowMap;
+    const previousTarget = renderer.getRenderTarget();
+
+    try {
+      scene.overrideMaterial = depthOnlyMaterial;
+      renderer.shadowMap.autoUpdate = false;
+      renderer.setRenderTarget(target);
+      renderer.clear();
+      renderer.render(scene, camera);
+    } finally {
+      renderer.setRenderTarget(previousTarget);
+      renderer.shadowMap.autoUpdate = autoUpdate;
+      scene.overrideMaterial = overrideMaterial;
+      hidden.forEach(object => { object.visible = true; });
+    }
+    this.particles.syncSoftParticles(camera);
+  }
+
+  // Live counts on top of the quality governor's stats
+  get stats() {
+    let wreckage = this.effects.filter(effect => effect instanceof WreckageEffect).length;
+    this.explosions.forEach(explosion => { wreckage += explosion.wreckageCount; });
+    return {
+      ...this.quality.getStats(this.lights),
+      activeExplosions: this.explosions.size,
+      wreckage,
+      lastClass: this.lastClass,
+    };
+  }
+
+  // Lifecycle events of every explosion; on() returns an unsubscribe function
+  on(type, listener) {
+    return this.events.on(type, listener);
+  }
+
+  off(type, listener) {
+    this.events.off(type, listener);
+  }
+
+  // Blast targets: register(id, target) returns an unregister function
+  registerTarget(id, target) {
+    return this.blastTargets.register(id, target);
+  }
+
+  unregisterTarget(id) {
+    this.blastTargets.unregister(id);
+  }
+
+  /**
+   * Registered targets within `radius` of `position`, with damage and
+   * knockback. Pass `explosionClass` to use that class's blast settings, or
+   * `damage` / `impulse` / `falloff` directly.
+   */
+  queryBlast(position, radius, { explosionClass, ...options } = {}) {
+    const config = explosionClass ? resolveExplosionClass(explosionClass) : null;
+    return this.blastTargets.query(
+      toVector3(position),
+      radius ?? config?.blastRadius ?? 0,
+      { ...(config && getBlastOptions(config)), ...options }
+    );
+  }
+
+  // Remove every explosion, effect, particle and decal
+  clearAll() {
+    this.explosions.forEach(explosion => explosion.dispose());
+    this.explosions.clear();
+    this.effects.forEach(effect => effect.dispose());
+    this.effects = [];
+    this.timers = [];
+    this.sequences.clear();
+    this.frames.clear();
+    this.particles.clear();
+    this.decals?.clear();
+  }
+
+  dispose() {
+    this.clearAll();
+    this.object.removeFromParent();
+    this.particles.dispose();
+    this.decals?.dispose();
+    this.lights.dispose();
+    this.depthTarget?.depthTexture.dispose();
+    this.depthTarget?.dispose();
+  }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+export {
+  ExplosionEngine,
+  ExplosionInstance,
+  ExplosionView,
+  ShockwaveEffect,
+  FlashEffect,
+  WreckageEffect,
+  createWreckageFragments,
+  disposeWreckageFragments,
+  generateExplosion,
+  createExplosionState,
+  stepExplosion,
+  createShockwaveState,
+  stepShockwave,
+  createFlashState,
+  stepFlash,
+  createWreckageState,
+  stepWreckage,
+  carryExplosion,
+  createForceFields,
+  configureForceFields,
+  stepForceFields,
+  sampleForceFields,
+  validateForceField,
+  resolveEnvironment,
+  applyEnvironment,
+  createSequenceState,
+  stepSequence,
+  getSequenceProgress,
+  resolveSequencePosition,
+  createSequenceExplosion,
+  createSequenceEvent,
+  validateExplosionSequence,
+  ExplosionSequenceError,
+  createParticlePool,
+  spawnParticle,
+  stepParticles,
+  carryParticles,
+  createRandom,
+  createSeed,
+  registerExplosionClass,
+  registerExplosionClasses,
+  unregisterExplosionClass,
+  resolveExplosionClass,
+  validateExplosionClass,
+  getExplosionClassNames,
+  ExplosionConfigError,
+  createBlastTargets,
+  getBlastOptions,
+  createExplosionEvents,
+  EXPLOSION_EVENTS,
+  createCameraShake,
+  addCameraTrauma,
+  shakeFromEvent,
+  stepCameraShake,
+  applyCameraShake,
+  restoreCameraShake,
+  resolveEmitterLayer,
+  spawnSmokeTrail,
+  toWorldPosition,
+  randomSpread,
+  easeOutQuad,
+  easeInQuad,
+  EXPLOSION_CONFIG,
+};
@@ -1,725 +1,913 @@
-import React, { useRef, useState, useEffect, useCallback, useMemo } from 'react';
+import React, { useRef, useState, useEffect, useCallback, useMemo, createContext, useContext } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { 
   Vector3, 
-  Euler, 
-  MathUtils, 
   Color, 
-  AdditiveBlending,
-  NormalBlending,
-  DoubleSide
+  PlaneGeometry,
+  AudioListener,
+  PositionalAudio,
+  Vector2,
+  Vector4,
+  Mesh,
+  Scene,
+  OrthographicCamera,
+  ShaderMaterial,
+  WebGLRenderTarget,
+  HalfFloatType,
 } from 'three';
+import {
+  ExplosionEngine as ExplosionCore,
+  ShockwaveEffect,
+  FlashEffect,
+  WreckageEffect,
+  generateExplosion,
+  createRandom,
+  createSeed,
+  registerExplosionClass,
+  registerExplosionClasses,
+  unregisterExplosionClass,
+  resolveExplosionClass,
+  validateExplosionClass,
+  getExplosionClassNames,
+  ExplosionConfigError,
+  createBlastTargets,
+  getBlastOptions,
+  createExplosionEvents,
+  createCameraShake,
+  addCameraTrauma,
+  shakeFromEvent,
+  stepCameraShake,
+  applyCameraShake,
+  restoreCameraShake,
+  createSequenceState,
+  getSequenceProgress,
+  validateExplosionSequence,
+  ExplosionSequenceError,
+  resolveEmitterLayer,
+  spawnSmokeTrail,
+  toWorldPosition,
+  randomSpread,
+  easeOutQuad,
+  easeInQuad,
+  EXPLOSION_CONFIG,
+} from './ExplosionCore.js';
 
 // ============================================================================
-// CONSTANTS & CONFIGURATION
-// ============================================================================
-const EXPLOSION_CONFIG = {
-  // Explosion Classes
-  CLASSES: {
-    SMALL: {
-      name: 'SMALL',
-      particleCount: 15,
-      shockwaveScale: 3,
-      duration: 800,
-      wreckagePieces: 1,
-      wreckageScale: [0.4, 0.25, 0.6],
-      cameraShake: 0.1,
-      lightIntensity: 8,
-      lightDistance: 15,
-    },
-    MEDIUM: {
-      name: 'MEDIUM',
-      particleCount: 30,
-      shockwaveScale: 5,
-      duration: 1000,
-      wreckagePieces: 2,
-      wreckageScale: [0.6, 0.35, 0.9],
-      cameraShake: 0.25,
-      lightIntensity: 15,
-      lightDistance: 25,
-    },
-    LARGE: {
-      name: 'LARGE',
-      particleCount: 50,
-      shockwaveScale: 8,
-      duration: 1400,
-      wreckagePieces: 4,
-      cameraShake: 0.5,
-      wreckageScale: [1.0, 0.5, 1.4],
-      lightIntensity: 25,
-      lightDistance: 40,
-    },
-    BOSS: {
-      name: 'BOSS',
-      particleCount: 100,
-      shockwaveScale: 15,
-      duration: 2500,
-      wreckagePieces: 8,
-      wreckageScale: [1.5, 0.8, 2.0],
-      cameraShake: 1.0,
-      lightIntensity: 50,
-      lightDistance: 60,
-      chainExplosions: true,
-      chainCount: 5,
-      chainDelay: 200,
-    },
-  },
-
-  // Wreckage Physics
-  WRECKAGE: {
-    GRAVITY: 15,
-    ROTATION_SPEED: { min: 2, max: 8 },
-    INITIAL_VELOCITY: { min: 3, max: 8 },
-    SPREAD_ANGLE: Math.PI / 6,
-    SMOKE_EMIT_RATE: 0.03,
-    SMOKE_PARTICLE_COUNT: 30,
-    GROUND_Y: -5,
-    SECONDARY_EXPLOSION_SCALE: 0.4,
-  },
-
-  // Particle System
-  PARTICLES: {
-    LIFETIME: { min: 0.3, max: 1.2 },
-    SPEED: { min: 8, max: 25 },
-    SIZE: { min: 0.1, max: 0.6 },
-    COLORS: {
-      CORE: ['#ffffff', '#ffffa0', '#ffff00'],
-      FIRE: ['#ff8800', '#ff4400', '#ff2200'],
-      SMOKE: ['#444444', '#333333', '#222222', '#111111'],
-      SPARK: ['#ffff88', '#ffaa44', '#ff6600'],
-    },
-  },
-
-  // Shockwave
-  SHOCKWAVE: {
-    DURATION: 400,
-    MAX_OPACITY: 0.8,
-    RING_COUNT: 2,
-  },
-
-  // Screen Effects
-  SCREEN_FLASH: {
-    DURATION: 150,
-    INTENSITY: 0.8,
-  },
+// EXPLOSION CLASS SCOPES
+// ============================================================================
+// The class registry itself lives in ExplosionCore.js; providers add classes
+// for one subtree on top of it.
+const ExplosionConfigContext = createContext(null);
+
+/**
+ * Scope extra or overriding class definitions to a subtree, e.g. per level.
+ * Nested providers inherit their parent's classes.
+ */
+function ExplosionConfigProvider({ classes, children }) {
+  const parentClasses = useContext(ExplosionConfigContext);
+
+  const scopedClasses = useMemo(() => {
+    const merged = { ...parentClasses };
+    Object.entries(classes || {}).forEach(([name, definition]) => {
+      const issues = validateExplosionClass(definition);
+      if (issues.length) throw new ExplosionConfigError(name, issues);
+      merged[name] = { ...definition, name };
+    });
+    return merged;
+  }, [classes, parentClasses]);
+
+  return (
+    <ExplosionConfigContext.Provider value={scopedClasses}>
+      {children}
+    </ExplosionConfigContext.Provider>
+  );
+}
+
+const useExplosionClass = (name) => {
+  const scopedClasses = useContext(ExplosionConfigContext);
+  return useMemo(() => resolveExplosionClass(name, scopedClasses), [name, scopedClasses]);
 };
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// EXPLOSION RUNTIME (SHARED SYSTEMS)
 // ============================================================================
-const randomRange = (min, max) => Math.random() * (max - min) + min;
-const randomSpread = (spread) => (Math.random() - 0.5) * 2 * spread;
+// The runtime is an ExplosionEngine from ExplosionCore.js, the same one the
+// vanilla API uses: every Explosion below a provider triggers into it.
+const ExplosionRuntimeContext = createContext(null);
 
-const createRandomDirection = (forwardVector, spreadAngle) => {
-  const dir = forwardVector.clone().normalize();
-  const perpX = new Vector3(1, 0, 0).cross(dir).normalize();
-  const perpY = dir.clone().cross(perpX).normalize();
-  
-  const angleX = randomSpread(spreadAngle);
-  const angleY = randomSpread(spreadAngle);
-  
-  return dir
-    .add(perpX.multiplyScalar(Math.sin(angleX)))
-    .add(perpY.multiplyScalar(Math.sin(angleY)))
-    .normalize();
+const useExplosionRuntime = () => useContext(ExplosionRuntimeContext);
+
+// Simulation clock of the nearest runtime: { time, delta, timeScale }
+const useExplosionClock = () => useExplosionRuntime()?.clock ?? null;
+
+/**
+ * useFrame, but with the delta of the explosion clock: clamped and scaled by
+ * the runtime's timeScale, so effects pause, slow down and speed up with the
+ * game. Outside a runtime the raw frame delta is clamped only.
+ */
+const useSimulationFrame = (callback) => {
+  const runtime = useExplosionRuntime();
+  useFrame((state, delta) => {
+    const step = runtime
+      ? runtime.clock.delta
+      : Math.min(delta, EXPLOSION_CONFIG.CLOCK.MAX_DELTA);
+    callback(state, step);
+  });
 };
 
-// ============================================================================
-// EXPLOSION PARTICLE COMPONENT
-// ============================================================================
-function ExplosionParticle({ 
-  startPosition, 
-  direction, 
-  speed, 
-  size, 
-  color, 
-  lifetime,
-  type = 'fire',
-  onComplete 
+function ExplosionRuntimeProvider({
+  children,
+  maxParticles,
+  timeScale = 1,
+  colliders,
+  getGroundHeight,
+  decals = false,
+  audio = false,
+  postEffects = false,
+  cameraShake = false,
+  quality = 'high',
+  softParticles = false,
+  sprites = null,
+  forces,
+  environment = 'air',
+  onStats,
 }) {
-  const meshRef = useRef();
-  const startTime = useRef(Date.now());
-  const velocity = useRef(direction.clone().multiplyScalar(speed));
-  
+  const scene = useThree(state => state.scene);
+  const settings = { timeScale, colliders, getGroundHeight, decals, quality, softParticles, sprites, forces, environment };
+  const settingsRef = useRef(settings);
+  settingsRef.current = settings;
+
+  // The engine adds itself to the scene, so it is created in an effect: a
+  // discarded render leaves nothing behind, and StrictMode's second mount
+  // gets a fresh engine instead of the one its first cleanup disposed.
+  // Children mount once it exists, configured with the current props.
+  const [engine, setEngine] = useState(null);
+  useEffect(() => {
+    const created = new ExplosionCore(scene, { maxParticles, ...settingsRef.current });
+    setEngine(created);
+    return () => created.dispose();
+  }, [scene, maxParticles]);
+
+  useEffect(() => {
+    engine?.configure(settingsRef.current);
+  }, [engine, timeScale, colliders, getGroundHeight, decals, quality, softParticles, sprites, forces, environment]);
+
+  const onStatsRef = useRef(onStats);
+  onStatsRef.current = onStats;
+  const statsTimer = useRef(0);
+
+  // Runs before default-priority frame callbacks so every effect sees this
+  // frame's step
   useFrame((state, delta) => {
-    if (!meshRef.current) return;
-    
-    const elapsed = (Date.now() - startTime.current) / 1000;
-    const progress = elapsed / lifetime;
-    
-    if (progress >= 1) {
-      onComplete?.();
-      return;
-    }
-    
-    // Update position
-    meshRef.current.position.add(velocity.current.clone().multiplyScalar(delta));
-    
-    // Apply drag and gravity based on type
-    if (type === 'fire') {
-      velocity.current.multiplyScalar(0.96);
-      velocity.current.y += delta * 2; // Fire rises
-    } else if (type === 'spark') {
-      velocity.current.multiplyScalar(0.98);
-      velocity.current.y -= delta * 15; // Sparks fall
-    } else if (type === 'smoke') {
-      velocity.current.multiplyScalar(0.92);
-      velocity.current.y += delta * 1; // Smoke rises slowly
-    }
-    
-    // Scale down and fade
-    const scale = size * (1 - progress * 0.7);
-    meshRef.current.scale.setScalar(Math.max(0.01, scale));
-    
-    if (meshRef.current.material) {
-      meshRef.current.material.opacity = Math.max(0, 1 - progress);
+    if (!engine) return;
+    engine.update(delta, state.camera);
+
+    // Stats are reported on real time, so they keep coming while paused
+    statsTimer.current += delta;
+    if (onStatsRef.current && statsTimer.current >= EXPLOSION_CONFIG.QUALITY.STATS_INTERVAL) {
+      statsTimer.current = 0;
+      onStatsRef.current(engine.stats);
     }
+  }, -1);
+
+  // Scene depth for soft particles, taken after this frame's movement
+  useFrame(({ gl, camera }) => {
+    if (engine && softParticles && !softParticles.depthTexture) engine.renderDepth(gl, camera);
   });
 
-  const isSmoke = type === 'smoke';
-  
+  if (!engine) return null;
+
   return (
-    <mesh ref={meshRef} position={startPosition}>
-      {isSmoke ? (
-        <icosahedronGeometry args={[size, 0]} />
-      ) : (
-        <sphereGeometry args={[size, 6, 6]} />
-      )}
-      <meshBasicMaterial 
-        color={color} 
-        transparent 
-        opacity={1}
-        blending={isSmoke ? NormalBlending : AdditiveBlending}
-        depthWrite={!isSmoke}
-      />
-    </mesh>
+    <ExplosionRuntimeContext.Provider value={engine}>
+      {audio && <ExplosionAudio {...(audio === true ? {} : audio)} />}
+      {postEffects && <ExplosionPostEffects {...(postEffects === true ? {} : postEffects)} />}
+      {cameraShake && <CameraShake {...(cameraShake === true ? {} : cameraShake)} />}
+      {children}
+    </ExplosionRuntimeContext.Provider>
   );
 }
 
+// Components that can be used on their own get a private runtime when there
+// is no ExplosionRenderer (or other provider) above them.
+const withExplosionRuntime = (Component) => {
+  function WithExplosionRuntime(props) {
+    const runtime = useExplosionRuntime();
+    if (runtime) return <Component {...props} />;
+
+    return (
+      <ExplosionRuntimeProvider timeScale={props.timeScale}>
+        <Component {...props} />
+      </ExplosionRuntimeProvider>
+    );
+  }
+  WithExplosionRuntime.displayName = Component.name;
+  return WithExplosionRuntime;
+};
+
+/**
+ * Run a core effect (ShockwaveEffect, FlashEffect...) for the lifetime of a
+ * component. It is created on mount, so StrictMode's double mount never
+ * shares one, stepped on the simulation clock once it is in the scene graph
+ * and disposed when it finishes or unmounts. Returns null until created and
+ * once finished.
+ */
+const useCoreEffect = (create) => {
+  const [effect, setEffect] = useState(null);
+  useEffect(() => {
+    const created = create();
+    setEffect(created);
+    return () => created.dispose();
+    // Effects read their props once, on creation
+  }, []);
+  useSimulationFrame((state, delta) => {
+    if (!effect?.object.parent) return;
+    effect.update(delta);
+    if (effect.done) {
+      effect.dispose();
+      setEffect(null);
+    }
+  });
+  return effect;
+};
+
 // ============================================================================
-// SHOCKWAVE RING COMPONENT
+// EXPLOSION AUDIO
 // ============================================================================
-function ShockwaveRing({ position, maxScale, duration, delay = 0, onComplete }) {
-  const meshRef = useRef();
-  const startTime = useRef(null);
-  const [active, setActive] = useState(false);
-  
+// Positional booms, chain crackles and wreckage thuds, driven by the runtime's
+// lifecycle events. Sounds are synthesized once per audio context unless the
+// game supplies its own buffers.
+
+// Mono buffer filled sample by sample from `sample(t, random)`, normalized
+const synthesizeBuffer = (context, duration, sample) => {
+  const length = Math.ceil(duration * context.sampleRate);
+  const buffer = context.createBuffer(1, length, context.sampleRate);
+  const data = buffer.getChannelData(0);
+  const random = createRandom(length);
+
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    data[i] = sample(i / context.sampleRate, random);
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  if (peak > 0) {
+    for (let i = 0; i < length; i++) data[i] *= 0.9 / peak;
+  }
+  return buffer;
+};
+
+// Low-passed noise with a falling cutoff over a decaying sub-bass sweep
+const synthesizeBoom = (context) => {
+  let noise = 0;
+  let phase = 0;
+  return synthesizeBuffer(context, 2.5, (t, random) => {
+    const cutoff = 0.02 + 0.18 * Math.exp(-t * 3);
+    noise += cutoff * ((random() * 2 - 1) - noise);
+    phase += (2 * Math.PI * (30 + 30 * Math.exp(-t * 3))) / context.sampleRate;
+    const attack = Math.min(t / 0.005, 1);
+    return attack * (noise * 3 * Math.exp(-t * 2.2) + Math.sin(phase) * 0.6 * Math.exp(-t * 4));
+  });
+};
+
+// Sparse, decaying pops like burning debris
+const synthesizeCrackle = (context) => {
+  let pop = 0;
+  return synthesizeBuffer(context, 1.2, (t, random) => {
+    if (random() < 0.004 * Math.exp(-t * 2.5)) pop = 0.3 + random() * 0.7;
+    pop *= 0.996;
+    return (random() * 2 - 1) * pop;
+  });
+};
+
+// Short low knock for wreckage hitting the ground
+const synthesizeThud = (context) => {
+  let noise = 0;
+  let phase = 0;
+  return synthesizeBuffer(context, 0.4, (t, random) => {
+    noise += 0.1 * ((random() * 2 - 1) - noise);
+    phase += (2 * Math.PI * (40 + 30 * Math.exp(-t * 20))) / context.sampleRate;
+    return Math.sin(phase) * Math.exp(-t * 12) + noise * 0.3 * Math.exp(-t * 30);
+  });
+};
+
+const synthesizedSounds = new WeakMap();
+
+const getSynthesizedSounds = (context) => {
+  if (!synthesizedSounds.has(context)) {
+    synthesizedSounds.set(context, {
+      boom: synthesizeBoom(context),
+      crackle: synthesizeCrackle(context),
+      thud: synthesizeThud(context),
+    });
+  }
+  return synthesizedSounds.get(context);
+};
+
+const hasWebAudio = () =>
+  typeof window !== 'undefined' && Boolean(window.AudioContext || window.webkitAudioContext);
+
+/**
+ * Audio layer of a runtime (see the `audio` prop). Uses the camera's
+ * AudioListener, adding one if the camera has none. Each sound is delayed by
+ * its distance over `speedOfSound` on the simulation clock, so a distant
+ * blast is seen before it is heard.
+ */
+function ExplosionAudio({
+  volume = EXPLOSION_CONFIG.AUDIO.VOLUME,
+  speedOfSound = EXPLOSION_CONFIG.AUDIO.SPEED_OF_SOUND,
+  refDistance = EXPLOSION_CONFIG.AUDIO.REF_DISTANCE,
+  rolloff = EXPLOSION_CONFIG.AUDIO.ROLLOFF,
+  maxVoices = EXPLOSION_CONFIG.AUDIO.MAX_VOICES,
+  buffers,
+}) {
+  const { camera, scene } = useThree();
+  const { events, clock } = useExplosionRuntime();
+  const scopedClasses = useContext(ExplosionConfigContext);
+  const [listener, setListener] = useState(null);
+  const pending = useRef([]);
+  const voices = useRef(new Set());
+  const settings = useRef(null);
+  settings.current = { volume, speedOfSound, refDistance, rolloff, maxVoices, buffers };
+
+  // Share the camera's listener with the rest of the game
   useEffect(() => {
-    const timer = setTimeout(() => {
-      startTime.current = Date.now();
-      setActive(true);
-    }, delay);
-    return () => clearTimeout(timer);
-  }, [delay]);
-  
+    if (!hasWebAudio()) return;
+    const existing = camera.children.find(child => child.type === 'AudioListener');
+    const cameraListener = existing || new AudioListener();
+    if (!existing) camera.add(cameraListener);
+    setListener(cameraListener);
+
+    // Browsers start audio suspended until the first user gesture
+    const resume = () => cameraListener.context.resume?.();
+    window.addEventListener('pointerdown', resume, { once: true });
+    window.addEventListener('keydown', resume, { once: true });
+
+    return () => {
+      window.removeEventListener('pointerdown', resume);
+      window.removeEventListener('keydown', resume);
+      voices.current.forEach(sound => sound.stop());
+      pending.current = [];
+      if (!existing) camera.remove(cameraListener);
+    };
+  }, [camera]);
+
+  // Subscribed straight away (not once the listener exists) so explosions
+  // mounted together with the audio layer are still heard
+  useEffect(() => {
+    if (!hasWebAudio()) return;
+
+    const queue = (name, position, gain, pitch) => {
+      const listenerPosition = camera.getWorldPosition(new Vector3());
+      const delay = settings.current.speedOfSound > 0
+        ? position.distanceTo(listenerPosition) / settings.current.speedOfSound
+        : 0;
+      pending.current.push({ at: clock.time + delay, name, position: position.clone(), gain, pitch });
+    };
+
+    return events.on('*', (event) => {
+      const { AUDIO } = EXPLOSION_CONFIG;
+      if (event.type === 'start') {
+        const config = resolveExplosionClass(event.explosionClass, scopedClasses);
+        queue(config.sound, event.position, config.soundVolume, config.soundPitch);
+      } else if (event.type === 'chainExplosion') {
+        queue('crackle', event.position, AUDIO.CRACKLE_VOLUME, 1);
+      } else if (event.type === 'wreckageLanded') {
+        queue('thud', event.position, AUDIO.THUD_VOLUME, 1);
+      }
+    });
+  }, [camera, events, clock, scopedClasses]);
+
+  const play = ({ name, position, gain, pitch }) => {
+    const options = settings.current;
+    const buffer = options.buffers?.[name] || getSynthesizedSounds(listener.context)[name];
+    if (!buffer || voices.current.size >= options.maxVoices) return;
+
+    const variation = EXPLOSION_CONFIG.AUDIO.PITCH_VARIATION;
+    const sound = new PositionalAudio(listener);
+    sound.setBuffer(buffer);
+    sound.setRefDistance(options.refDistance);
+    sound.setRolloffFactor(options.rolloff);
+    sound.setVolume(gain * options.volume);
+    sound.setPlaybackRate(pitch * (1 + randomSpread(variation)));
+    sound.position.copy(position);
+    sound.onEnded = () => {
+      sound.isPlaying = false;
+      voices.current.delete(sound);
+      sound.disconnect();
+      scene.remove(sound);
+    };
+    scene.add(sound);
+    sound.updateMatrixWorld();
+    voices.current.add(sound);
+    sound.play();
+  };
+
   useFrame(() => {
-    if (!meshRef.current || !active || !startTime.current) return;
-    
-    const elapsed = Date.now() - startTime.current;
-    const progress = elapsed / duration;
-    
-    if (progress >= 1) {
-      onComplete?.();
-      return;
-    }
-    
-    // Expand ring
-    const scale = MathUtils.lerp(0.1, maxScale, easeOutQuad(progress));
-    meshRef.current.scale.set(scale, scale, 1);
-    
-    // Fade out
-    const opacity = EXPLOSION_CONFIG.SHOCKWAVE.MAX_OPACITY * (1 - easeInQuad(progress));
-    meshRef.current.material.opacity = opacity;
+    if (!listener || !pending.current.length) return;
+    const due = pending.current.filter(entry => entry.at <= clock.time);
+    if (!due.length) return;
+    pending.current = pending.current.filter(entry => entry.at > clock.time);
+    due.forEach(play);
   });
 
-  if (!active) return null;
+  return null;
+}
 
-  return (
-    <mesh ref={meshRef} position={position} rotation={[-Math.PI / 2, 0, 0]}>
-      <ringGeometry args={[0.8, 1, 32]} />
-      <meshBasicMaterial 
-        color="#ffaa44"
-        transparent
-        opacity={EXPLOSION_CONFIG.SHOCKWAVE.MAX_OPACITY}
-        side={DoubleSide}
-        blending={AdditiveBlending}
-        depthWrite={false}
-      />
-    </mesh>
+// ============================================================================
+// EXPLOSION POST EFFECTS
+// ============================================================================
+// Screen flash, heat-haze ripples and a bloom / chromatic-aberration kick,
+// driven by the runtime's lifecycle events. The scene is rendered into a
+// render target and composited in one full-screen pass, only while an effect
+// is active.
+
+const POST_VERTEX_SHADER = [
+  'varying vec2 vUv;',
+  'void main() {',
+  '  vUv = uv;',
+  '  gl_Position = vec4(position.xy, 0.0, 1.0);',
+  '}',
+].join('\n');
+
+const POST_FRAGMENT_SHADER = [
+  '#include <common>',
+  'uniform sampler2D tScene;',
+  'uniform vec2 texel;',
+  'uniform float aspect;',
+  'uniform float time;',
+  'uniform vec4 ripples[MAX_RIPPLES];',
+  'uniform int rippleCount;',
+  'uniform float hazeWidth;',
+  'uniform float bloom;',
+  'uniform float bloomThreshold;',
+  'uniform float aberration;',
+  'uniform float flash;',
+  'uniform vec3 flashColor;',
+  'varying vec2 vUv;',
+  '',
+  'vec3 brightPart(vec2 uv) {',
+  '  return max(texture2D(tScene, uv).rgb - bloomThreshold, 0.0);',
+  '}',
+  '',
+  'void main() {',
+  '  vec2 uv = vUv;',
+  // Each ripple: xy centre (uv), z radius (uv height units), w strength
+  '  for (int i = 0; i < MAX_RIPPLES; i++) {',
+  '    if (i >= rippleCount) break;',
+  '    vec4 ripple = ripples[i];',
+  '    vec2 toPixel = (vUv - ripple.xy) * vec2(aspect, 1.0);',
+  '    float dist = length(toPixel);',
+  '    float band = max(ripple.z * hazeWidth, 0.001);',
+  '    float x = (dist - ripple.z) / band;',
+  '    float ring = sin(x * PI) * exp(-x * x);',
+  '    float shimmer = sin(toPixel.y * 90.0 + time * 25.0) * (1.0 - smoothstep(0.0, ripple.z, dist)) * 0.3;',
+  '    vec2 direction = dist > 0.0 ? toPixel / dist : vec2(0.0);',
+  '    uv += (direction * ring + vec2(shimmer, 0.0)) * ripple.w * vec2(1.0 / aspect, 1.0);',
+  '  }',
+  '',
+  '  vec2 shift = (uv - 0.5) * aberration;',
+  '  vec3 color = vec3(',
+  '    texture2D(tScene, uv + shift).r,',
+  '    texture2D(tScene, uv).g,',
+  '    texture2D(tScene, uv - shift).b',
+  '  );',
+  '',
+  '  if (bloom > 0.0) {',
+  '    vec3 glow = vec3(0.0);',
+  '    for (int i = 0; i < 8; i++) {',
+  '      float angle = float(i) * PI * 0.25;',
+  '      vec2 direction = vec2(cos(angle), sin(angle)) * texel;',
+  '      glow += brightPart(uv + direction * 3.0) + brightPart(uv + direction * 8.0) * 0.6;',
+  '    }',
+  '    color += glow / 12.8 * bloom;',
+  '  }',
+  '',
+  '  gl_FragColor = vec4(color + flashColor * flash, 1.0);',
+  '  #include <tonemapping_fragment>',
+  '  #include <colorspace_fragment>',
+  '}',
+].join('\n');
+
+// Full-screen quad compositing a render target of the scene
+const createPostPass = () => {
+  const { POST_EFFECTS, SCREEN_FLASH } = EXPLOSION_CONFIG;
+  const target = new WebGLRenderTarget(1, 1, { type: HalfFloatType, samples: 4 });
+  const material = new ShaderMaterial({
+    defines: { MAX_RIPPLES: POST_EFFECTS.MAX_RIPPLES },
+    uniforms: {
+      tScene: { value: target.texture },
+      texel: { value: new Vector2() },
+      aspect: { value: 1 },
+      time: { value: 0 },
+      ripples: { value: Array.from({ length: POST_EFFECTS.MAX_RIPPLES }, () => new Vector4()) },
+      rippleCount: { value: 0 },
+      hazeWidth: { value: POST_EFFECTS.HAZE_WIDTH },
+      bloom: { value: 0 },
+      bloomThreshold: { value: POST_EFFECTS.BLOOM_THRESHOLD },
+      aberration: { value: 0 },
+      flash: { value: 0 },
+      flashColor: { value: new Color(SCREEN_FLASH.COLOR) },
+    },
+    vertexShader: POST_VERTEX_SHADER,
+    fragmentShader: POST_FRAGMENT_SHADER,
+    depthTest: false,
+    depthWrite: false,
+  });
+  const quad = new Mesh(new PlaneGeometry(2, 2), material);
+  quad.frustumCulled = false;
+  const scene = new Scene();
+  scene.add(quad);
+
+  return {
+    target,
+    material,
+    scene,
+    camera: new OrthographicCamera(-1, 1, 1, -1, 0, 1),
+    dispose: () => {
+      target.dispose();
+      material.dispose();
+      quad.geometry.dispose();
+    },
+  };
+};
+
+/**
+ * Post-effect layer of a runtime (see the `postEffects` prop). Every
+ * explosion contributes its class's `screenFlash`, `heatHaze` and
+ * `bloomBoost`; `flash`, `heatHaze` and `bloom` switch each effect off for
+ * the whole runtime. The pass renders the frame itself (useFrame priority
+ * 1, which turns off R3F's own rendering), so it is mounted only while an
+ * effect plays.
+ */
+function ExplosionPostEffects({ flash = true, heatHaze = true, bloom = true }) {
+  const { events } = useExplosionRuntime();
+  const scopedClasses = useContext(ExplosionConfigContext);
+  const pass = useMemo(createPostPass, []);
+  const active = useRef([]);
+  const [playing, setPlaying] = useState(false);
+
+  useEffect(() => () => pass.dispose(), [pass]);
+
+  useEffect(() => events.on('start', (event) => {
+    const config = resolveExplosionClass(event.explosionClass, scopedClasses);
+    if (!config.screenFlash && !config.heatHaze && !config.bloomBoost) return;
+    active.current.push({
+      start: event.time,
+      position: event.position.clone(),
+      scale: config.shockwaveScale,
+      flash: config.screenFlash,
+      haze: config.heatHaze,
+      bloom: config.bloomBoost,
+    });
+    setPlaying(true);
+  }), [events, scopedClasses]);
+
+  return playing && (
+    <ExplosionPostPass
+      pass={pass}
+      active={active}
+      flash={flash}
+      heatHaze={heatHaze}
+      bloom={bloom}
+      onIdle={() => setPlaying(false)}
+    />
   );
 }
 
-// Easing functions
-const easeOutQuad = (t) => 1 - (1 - t) * (1 - t);
-const easeInQuad = (t) => t * t;
-const easeOutExpo = (t) => t === 1 ? 1 : 1 - Math.pow(2, -10 * t);
+// Composites the active post effects; calls `onIdle` (after rendering the
+// frame plainly) once they have all played out
+function ExplosionPostPass({ pass, active, flash, heatHaze, bloom, onIdle }) {
+  const { clock } = useExplosionRuntime();
+  const scratch = useMemo(() => ({
+    size: new Vector2(),
+    center: new Vector3(),
+    edge: new Vector3(),
+    up: new Vector3(),
+  }), []);
 
-// ============================================================================
-// EXPLOSION FLASH (CORE BURST)
-// ============================================================================
-function ExplosionFlash({ position, scale, duration, onComplete }) {
-  const meshRef = useRef();
-  const lightRef = useRef();
-  const startTime = useRef(Date.now());
-  
-  useFrame(() => {
-    if (!meshRef.current) return;
-    
-    const elapsed = Date.now() - startTime.current;
-    const progress = elapsed / duration;
-    
-    if (progress >= 1) {
-      onComplete?.();
+  useFrame(({ gl, scene, camera }) => {
+    const { POST_EFFECTS, SCREEN_FLASH } = EXPLOSION_CONFIG;
+    const longest = Math.max(SCREEN_FLASH.DURATION, POST_EFFECTS.HAZE_DURATION, POST_EFFECTS.BLOOM_DURATION);
+    active.current = active.current.filter(entry => (clock.time - entry.start) * 1000 < longest);
+    if (!active.current.length) {
+      gl.render(scene, camera);
+      onIdle();
       return;
     }
-    
-    // Rapid expansion then fade
-    const expansionProgress = Math.min(progress * 4, 1);
-    const currentScale = scale * easeOutExpo(expansionProgress);
-    meshRef.current.scale.setScalar(currentScale);
-    
-    // Fade
-    const opacity = 1 - easeInQuad(progress);
-    meshRef.current.material.opacity = opacity;
-    
-    // Light fade
-    if (lightRef.current) {
-      lightRef.current.intensity = 30 * (1 - progress);
+
+    const { uniforms } = pass.material;
+    const { size, center, edge, up } = scratch;
+    up.setFromMatrixColumn(camera.matrixWorld, 1).normalize();
+    let flashAmount = 0;
+    let bloomAmount = 0;
+    let rippleCount = 0;
+
+    active.current.forEach(entry => {
+      const age = (clock.time - entry.start) * 1000;
+      const distance = entry.position.distanceTo(camera.position);
+
+      if (flash && entry.flash > 0 && age < SCREEN_FLASH.DURATION) {
+        const falloff = Math.min(1, SCREEN_FLASH.REF_DISTANCE / Math.max(distance, 0.001));
+        flashAmount += entry.flash * SCREEN_FLASH.INTENSITY * falloff * easeInQuad(1 - age / SCREEN_FLASH.DURATION);
+      }
+      if (bloom && entry.bloom > 0 && age < POST_EFFECTS.BLOOM_DURATION) {
+        bloomAmount = Math.max(bloomAmount, entry.bloom * (1 - age / POST_EFFECTS.BLOOM_DURATION));
+      }
+      if (heatHaze && entry.haze > 0 && age < POST_EFFECTS.HAZE_DURATION && rippleCount < POST_EFFECTS.MAX_RIPPLES) {
+        // Skip ripples behind the camera or past the far plane
+        center.copy(entry.position).project(camera);
+        if (Math.abs(center.z) > 1) return;
+        const progress = age / POST_EFFECTS.HAZE_DURATION;
+        edge.copy(entry.position).addScaledVector(up, entry.scale * easeOutQuad(progress)).project(camera);
+        uniforms.ripples.value[rippleCount++].set(
+          center.x * 0.5 + 0.5,
+          center.y * 0.5 + 0.5,
+          Math.abs(edge.y - center.y) * 0.5,
+          entry.haze * POST_EFFECTS.HAZE_STRENGTH * (1 - progress)
+        );
+      }
+    });
+
+    gl.getDrawingBufferSize(size);
+    if (pass.target.width !== size.x || pass.target.height !== size.y) {
+      pass.target.setSize(size.x, size.y);
     }
-  });
+    uniforms.texel.value.set(1 / size.x, 1 / size.y);
+    uniforms.aspect.value = size.x / size.y;
+    uniforms.time.value = clock.time;
+    uniforms.rippleCount.value = rippleCount;
+    uniforms.bloom.value = bloomAmount;
+    uniforms.aberration.value = bloomAmount * POST_EFFECTS.ABERRATION;
+    uniforms.flash.value = Math.min(flashAmount, 1);
 
-  return (
-    <group position={position}>
-      <mesh ref={meshRef}>
-        <icosahedronGeometry args={[1, 1]} />
-        <meshBasicMaterial 
-          color="#ffffff"
-          transparent
-          opacity={1}
-          blending={AdditiveBlending}
-          depthWrite={false}
-        />
-      </mesh>
-      <pointLight 
-        ref={lightRef}
-        color="#ffaa44"
-        intensity={30}
-        distance={scale * 10}
-      />
-    </group>
-  );
+    gl.setRenderTarget(pass.target);
+    gl.render(scene, camera);
+    gl.setRenderTarget(null);
+    gl.render(pass.scene, pass.camera);
+  }, 1);
+
+  return null;
 }
 
 // ============================================================================
-// SMOKE TRAIL PARTICLE
+// EXPLOSION PARTICLE COMPONENT
 // ============================================================================
-function SmokeParticle({ position, velocity, size, onComplete }) {
-  const meshRef = useRef();
-  const startTime = useRef(Date.now());
-  const lifetime = randomRange(0.8, 1.5);
-  const vel = useRef(velocity.clone());
-  const currentSize = useRef(size);
+// Spawns a single particle into the shared particle system. Kept for direct
+// use; Explosion writes its particles into the system itself. Motion comes
+// from `layer` (any emitter layer fields) on top of the `type` preset.
+function ExplosionParticleEmitter({ 
+  startPosition, 
+  direction, 
+  speed, 
+  size, 
+  color, 
+  lifetime,
+  type = 'fire',
+  layer,
+  onComplete 
+}) {
+  const anchorRef = useRef();
+  const { particles } = useExplosionRuntime();
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
   
-  useFrame((state, delta) => {
-    if (!meshRef.current) return;
-    
-    const elapsed = (Date.now() - startTime.current) / 1000;
-    const progress = elapsed / lifetime;
-    
-    if (progress >= 1) {
-      onComplete?.();
-      return;
-    }
-    
-    // Move and slow down
-    meshRef.current.position.add(vel.current.clone().multiplyScalar(delta));
-    vel.current.multiplyScalar(0.95);
-    vel.current.y += delta * 0.8; // Rise slowly
-    
-    // Grow then shrink
-    const growPhase = Math.min(progress * 3, 1);
-    const shrinkPhase = Math.max(0, (progress - 0.5) * 2);
-    const scale = size * (1 + growPhase * 0.5) * (1 - shrinkPhase * 0.8);
-    meshRef.current.scale.setScalar(Math.max(0.01, scale));
-    
-    // Fade
-    meshRef.current.material.opacity = 0.6 * (1 - progress);
-  });
+  useEffect(() => {
+    particles.spawn({
+      position: toWorldPosition(anchorRef.current, new Vector3()),
+      velocity: direction.clone().multiplyScalar(speed),
+      color,
+      size,
+      lifetime,
+      layer: resolveEmitterLayer({ type, ...layer }),
+      onComplete: () => onCompleteRef.current?.(),
+    });
+    // Particles are fire-and-forget: spawn once on mount
+  }, [particles]);
 
-  const colorIndex = Math.floor(Math.random() * EXPLOSION_CONFIG.PARTICLES.COLORS.SMOKE.length);
-  
-  return (
-    <mesh ref={meshRef} position={position}>
-      <icosahedronGeometry args={[size, 0]} />
-      <meshBasicMaterial 
-        color={EXPLOSION_CONFIG.PARTICLES.COLORS.SMOKE[colorIndex]}
-        transparent
-        opacity={0.6}
-      />
-    </mesh>
-  );
+  return <group ref={anchorRef} position={startPosition} />;
 }
 
+const ExplosionParticle = withExplosionRuntime(ExplosionParticleEmitter);
+
 // ============================================================================
-// FALLING WRECKAGE COMPONENT
+// SHOCKWAVE RING COMPONENT
 // ============================================================================
-function FallingWreckage({ 
-  startPosition, 
-  forwardVector, 
-  scale = [0.6, 0.35, 0.9],
-  onGroundHit,
-  groundY = EXPLOSION_CONFIG.WRECKAGE.GROUND_Y 
+// The components below wrap the core effects for direct use; Explosion runs
+// the same effects through the runtime.
+function ShockwaveRing({
+  position,
+  maxScale,
+  duration,
+  delay = 0,
+  color = '#ffaa44',
+  normal,
+  form,
+  onStart,
+  onComplete,
 }) {
-  const groupRef = useRef();
-  const [smokeParticles, setSmokeParticles] = useState([]);
-  const [hasLanded, setHasLanded] = useState(false);
-  
-  const physics = useRef({
-    velocity: createRandomDirection(forwardVector, EXPLOSION_CONFIG.WRECKAGE.SPREAD_ANGLE)
-      .multiplyScalar(randomRange(
-        EXPLOSION_CONFIG.WRECKAGE.INITIAL_VELOCITY.min,
-        EXPLOSION_CONFIG.WRECKAGE.INITIAL_VELOCITY.max
-      )),
-    rotationSpeed: new Vector3(
-      randomRange(EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.min, EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.max),
-      randomRange(EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.min, EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.max),
-      randomRange(EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.min, EXPLOSION_CONFIG.WRECKAGE.ROTATION_SPEED.max)
-    ),
-    lastSmokeTime: 0,
-  });
+  const callbacks = useRef(null);
+  callbacks.current = { onStart, onComplete };
 
-  const removeSmoke = useCallback((id) => {
-    setSmokeParticles(prev => prev.filter(p => p.id !== id));
-  }, []);
+  const ring = useCoreEffect(() => new ShockwaveEffect({
+    position,
+    maxScale,
+    duration,
+    delay,
+    color,
+    normal,
+    form,
+    onStart: () => callbacks.current.onStart?.(),
+    onComplete: () => callbacks.current.onComplete?.(),
+  }));
 
-  useFrame((state, delta) => {
-    if (!groupRef.current || hasLanded) return;
-    
-    const phys = physics.current;
-    
-    // Apply gravity
-    phys.velocity.y -= EXPLOSION_CONFIG.WRECKAGE.GRAVITY * delta;
-    
-    // Update position
-    groupRef.current.position.add(phys.velocity.clone().multiplyScalar(delta));
-    
-    // Update rotation
-    groupRef.current.rotation.x += phys.rotationSpeed.x * delta;
-    groupRef.current.rotation.y += phys.rotationSpeed.y * delta;
-    groupRef.current.rotation.z += phys.rotationSpeed.z * delta;
-    
-    // Emit smoke trail
-    const now = Date.now();
-    if (now - phys.lastSmokeTime > EXPLOSION_CONFIG.WRECKAGE.SMOKE_EMIT_RATE * 1000) {
-      phys.lastSmokeTime = now;
-      
-      const smokeVel = new Vector3(
-        randomSpread(1),
-        randomRange(0.5, 1.5),
-        randomSpread(1)
-      );
-      
-      setSmokeParticles(prev => [...prev, {
-        id: now + Math.random(),
-        position: groupRef.current.position.clone(),
-        velocity: smokeVel,
-        size: randomRange(0.3, 0.6),
-      }]);
-    }
-    
-    // Check ground collision
-    if (groupRef.current.position.y <= groundY) {
-      setHasLanded(true);
-      onGroundHit?.(groupRef.current.position.clone());
-    }
-  });
+  return ring && <primitive object={ring.object} />;
+}
 
-  if (hasLanded) {
-    return (
-      <>
-        {smokeParticles.map(smoke => (
-          <SmokeParticle
-            key={smoke.id}
-            position={smoke.position}
-            velocity={smoke.velocity}
-            size={smoke.size}
-            onComplete={() => removeSmoke(smoke.id)}
-          />
-        ))}
-      </>
+// ============================================================================
+// EXPLOSION FLASH (CORE BURST)
+// ============================================================================
+function ExplosionFlash({
+  position,
+  scale,
+  duration,
+  lightIntensity,
+  lightDistance,
+  onPeak,
+  onComplete,
+}) {
+  // Inside a runtime the light comes from its shared pool
+  const lights = useExplosionRuntime()?.lights;
+  const callbacks = useRef(null);
+  callbacks.current = { onPeak, onComplete };
+
+  const flash = useCoreEffect(() => new FlashEffect({
+    position,
+    scale,
+    duration,
+    lightIntensity,
+    lightDistance,
+    lights,
+    onPeak: () => callbacks.current.onPeak?.(),
+    onComplete: () => callbacks.current.onComplete?.(),
+  }));
+
+  return flash && <primitive object={flash.object} />;
+}
+
+// ============================================================================
+// SMOKE TRAIL PARTICLE
+// ============================================================================
+function SmokeParticleEmitter({ position, velocity, size, seed, onComplete }) {
+  const anchorRef = useRef();
+  const { particles, environment } = useExplosionRuntime();
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
+
+  useEffect(() => {
+    const spawned = spawnSmokeTrail(
+      particles,
+      toWorldPosition(anchorRef.current, new Vector3()),
+      velocity.clone(),
+      size,
+      seed === undefined ? Math.random : createRandom(seed),
+      () => onCompleteRef.current?.(),
+      environment
     );
-  }
+    // Culled by the particle budget or no smoke in this environment: nothing
+    // will fade out, so finish now
+    if (!spawned) onCompleteRef.current?.();
+    // Particles are fire-and-forget: spawn once on mount
+  }, [particles]);
 
-  return (
-    <>
-      <group ref={groupRef} position={startPosition}>
-        <mesh>
-          <boxGeometry args={scale} />
-          <meshStandardMaterial 
-            color="#1a1a1a"
-            metalness={0.8}
-            roughness={0.3}
-            emissive="#110800"
-            emissiveIntensity={0.5}
-          />
-        </mesh>
-        {/* Glowing hot spots */}
-        <mesh position={[scale[0] * 0.3, 0, 0]}>
-          <sphereGeometry args={[scale[1] * 0.3, 4, 4]} />
-          <meshBasicMaterial color="#ff4400" transparent opacity={0.8} />
-        </mesh>
-        {/* Trailing ember */}
-        <pointLight color="#ff4400" intensity={3} distance={5} />
-      </group>
-      
-      {smokeParticles.map(smoke => (
-        <SmokeParticle
-          key={smoke.id}
-          position={smoke.position}
-          velocity={smoke.velocity}
-          size={smoke.size}
-          onComplete={() => removeSmoke(smoke.id)}
-        />
-      ))}
-    </>
-  );
+  return <group ref={anchorRef} position={position} />;
 }
 
+const SmokeParticle = withExplosionRuntime(SmokeParticleEmitter);
+
+// ============================================================================
+// FALLING WRECKAGE COMPONENT
+// ============================================================================
+// Props are the options of the core WreckageEffect; `startPosition` is local
+// to the parent and `groundY` relative to it.
+function FallingWreckagePiece({ startPosition, onGroundHit, onComplete, ...options }) {
+  const engine = useExplosionRuntime();
+  const callbacks = useRef(null);
+  callbacks.current = { onGroundHit, onComplete };
+
+  const piece = useCoreEffect(() => new WreckageEffect(engine, {
+    ...options,
+    position: startPosition,
+    onGroundHit: (hitPosition) => callbacks.current.onGroundHit?.(hitPosition),
+    onComplete: () => callbacks.current.onComplete?.(),
+  }));
+
+  return piece && <primitive object={piece.object} />;
+}
+
+const FallingWreckage = withExplosionRuntime(FallingWreckagePiece);
+
 // ============================================================================
 // MAIN EXPLOSION COMPONENT
 // ============================================================================
-function Explosion({ 
-  position, 
+// Triggers a core explosion attached to this component's group, so it
+// follows the group while flash, rings, wreckage, chains and secondaries
+// play out in the runtime. With `attachTo` (an Object3D, or true for the
+// group this component is rendered in) particles and wreckage ride along
+// with that frame too; `position` is then local to it, or to its descendant
+// named `point` (a turret, an engine...). `shape` and the
+// surface `normal` shape the burst (see EXPLOSION_CONFIG.SHAPES),
+// `afterburn` (true, false or settings) overrides the class's afterburn and
+// `environment` the runtime's medium ('air', 'vacuum', 'water').
+function ExplosionEffect({
+  position,
   forwardVector = new Vector3(0, 0, -1),
+  shape,
+  normal,
+  inheritVelocity,
+  attachTo,
+  point,
+  afterburn,
+  environment,
   explosionClass = 'MEDIUM',
   onComplete,
   showWreckage = true,
+  showFlash = true,
+  showSecondary = true,
   groundY = EXPLOSION_CONFIG.WRECKAGE.GROUND_Y,
+  colliders,
+  getGroundHeight,
+  blastTargets,
+  onBlast,
+  onEvent,
+  wreckage,
+  seed: seedProp,
 }) {
-  const config = EXPLOSION_CONFIG.CLASSES[explosionClass] || EXPLOSION_CONFIG.CLASSES.MEDIUM;
-  
-  const [particles, setParticles] = useState([]);
-  const [shockwaves, setShockwaves] = useState([]);
-  const [wreckage, setWreckage] = useState([]);
-  const [flash, setFlash] = useState(true);
-  const [secondaryExplosions, setSecondaryExplosions] = useState([]);
-  const [chainExplosions, setChainExplosions] = useState([]);
+  const engine = useExplosionRuntime();
+  const scopedClasses = useContext(ExplosionConfigContext);
+  const groupRef = useRef();
   const [isComplete, setIsComplete] = useState(false);
-  
-  const startTime = useRef(Date.now());
-  const particleIdCounter = useRef(0);
-  
-  // Initialize explosion
+
+  // Unseeded explosions still pick one seed for their whole lifetime
+  const [fallbackSeed] = useState(createSeed);
+  const seed = seedProp ?? fallbackSeed;
+
+  const callbacks = useRef(null);
+  callbacks.current = { onComplete, onBlast, onEvent };
+
   useEffect(() => {
-    // Create particles
-    const newParticles = [];
-    const colors = EXPLOSION_CONFIG.PARTICLES.COLORS;
-    
-    for (let i = 0; i < config.particleCount; i++) {
-      const type = i < config.particleCount * 0.2 ? 'core' :
-                   i < config.particleCount * 0.6 ? 'fire' :
-                   i < config.particleCount * 0.8 ? 'spark' : 'smoke';
-      
-      const colorSet = type === 'core' ? colors.CORE :
-                       type === 'fire' ? colors.FIRE :
-                       type === 'spark' ? colors.SPARK : colors.SMOKE;
-      
-      const dir = new Vector3(
-        randomSpread(1),
-        randomSpread(1),
-        randomSpread(1)
-      ).normalize();
-      
-      newParticles.push({
-        id: particleIdCounter.current++,
-        direction: dir,
-        speed: randomRange(
-          EXPLOSION_CONFIG.PARTICLES.SPEED.min,
-          EXPLOSION_CONFIG.PARTICLES.SPEED.max
-        ) * (type === 'core' ? 1.5 : type === 'smoke' ? 0.3 : 1),
-        size: randomRange(
-          EXPLOSION_CONFIG.PARTICLES.SIZE.min,
-          EXPLOSION_CONFIG.PARTICLES.SIZE.max
-        ) * (type === 'core' ? 0.5 : type === 'smoke' ? 2 : 1),
-        color: colorSet[Math.floor(Math.random() * colorSet.length)],
-        lifetime: randomRange(
-          EXPLOSION_CONFIG.PARTICLES.LIFETIME.min,
-          EXPLOSION_CONFIG.PARTICLES.LIFETIME.max
-        ) * (type === 'smoke' ? 2 : 1),
-        type,
-      });
-    }
-    setParticles(newParticles);
-    
-    // Create shockwaves
-    const newShockwaves = [];
-    for (let i = 0; i < EXPLOSION_CONFIG.SHOCKWAVE.RING_COUNT; i++) {
-      newShockwaves.push({
-        id: i,
-        delay: i * 80,
-        scale: config.shockwaveScale * (1 - i * 0.2),
-      });
-    }
-    setShockwaves(newShockwaves);
-    
-    // Create wreckage
-    if (showWreckage) {
-      const newWreckage = [];
-      for (let i = 0; i < config.wreckagePieces; i++) {
-        const scaleVariation = 0.3;
-        newWreckage.push({
-          id: i,
-          scale: config.wreckageScale.map(s => 
-            s * randomRange(1 - scaleVariation, 1 + scaleVariation)
-          ),
-        });
-      }
-      setWreckage(newWreckage);
-    }
-    
-    // Boss chain explosions
-    if (config.chainExplosions) {
-      const chains = [];
-      for (let i = 0; i < config.chainCount; i++) {
-        chains.push({
-          id: i,
-          delay: (i + 1) * config.chainDelay,
-          offset: new Vector3(
-            randomSpread(3),
-            randomSpread(2),
-            randomSpread(3)
-          ),
-        });
-      }
-      setChainExplosions(chains);
-    }
-  }, [config, showWreckage]);
-  
-  // Check completion
-  useFrame(() => {
-    const elapsed = Date.now() - startTime.current;
-    if (elapsed > config.duration + 3000 && !isComplete) {
-      setIsComplete(true);
-      onComplete?.();
-    }
-  });
-  
-  const removeParticle = useCallback((id) => {
-    setParticles(prev => prev.filter(p => p.id !== id));
-  }, []);
-  
-  const removeShockwave = useCallback((id) => {
-    setShockwaves(prev => prev.filter(s => s.id !== id));
-  }, []);
-  
-  const handleWreckageGroundHit = useCallback((hitPosition) => {
-    // Trigger secondary explosion
-    setSecondaryExplosions(prev => [...prev, {
-      id: Date.now() + Math.random(),
-      position: hitPosition,
-    }]);
-  }, []);
+    const frame = attachTo?.isObject3D ? attachTo : null;
+    const id = engine.triggerExplosion({
+      parent: frame ?? groupRef.current,
+      position: frame ? position : undefined,
+      point: frame ? point : undefined,
+      attach: Boolean(attachTo),
+      forwardVector,
+      shape,
+      normal,
+      inheritVelocity,
+      explosionClass,
+      classes: scopedClasses,
+      showWreckage,
+      showFlash,
+      showSecondary,
+      afterburn,
+      environment,
+      groundY,
+      colliders,
+      getGroundHeight,
+      blastTargets,
+      wreckage,
+      seed,
+      onBlast: onBlast && ((hits, blast) => callbacks.current.onBlast?.(hits, blast)),
+      onEvent: (event) => callbacks.current.onEvent?.(event),
+      onComplete: () => {
+        setIsComplete(true);
+        callbacks.current.onComplete?.();
+      },
+    });
+    return () => engine.removeExplosion(id);
+    // forwardVector and the rest are only read at spawn time
+  }, [engine, explosionClass, scopedClasses, seed, showWreckage]);
 
   if (isComplete) return null;
 
-  return (
-    <group position={position}>
-      {/* Central flash */}
-      {flash && (
-        <ExplosionFlash
-          position={[0, 0, 0]}
-          scale={config.shockwaveScale * 0.5}
-          duration={200}
-          onComplete={() => setFlash(false)}
-        />
-      )}
-      
-      {/* Particles */}
-      {particles.map(particle => (
-        <ExplosionParticle
-          key={particle.id}
-          startPosition={[0, 0, 0]}
-          direction={particle.direction}
-          speed={particle.speed}
-          size={particle.size}
-          color={particle.color}
-          lifetime={particle.lifetime}
-          type={particle.type}
-          onComplete={() => removeParticle(particle.id)}
-        />
-      ))}
-      
-      {/* Shockwaves */}
-      {shockwaves.map(wave => (
-        <ShockwaveRing
-          key={wave.id}
-          position={[0, 0, 0]}
-          maxScale={wave.scale}
-          duration={EXPLOSION_CONFIG.SHOCKWAVE.DURATION}
-          delay={wave.delay}
-          onComplete={() => removeShockwave(wave.id)}
-        />
-      ))}
-      
-      {/* Falling wreckage */}
-      {wreckage.map(piece => (
-        <FallingWreckage
-          key={piece.id}
-          startPosition={new Vector3(0, 0, 0)}
-          forwardVector={forwardVector}
-          scale={piece.scale}
-          groundY={groundY}
-          onGroundHit={handleWreckageGroundHit}
-        />
-      ))}
-      
-      {/* Chain explosions for bosses */}
-      {chainExplosions.map(chain => (
-        <DelayedExplosion
-          key={chain.id}
-          position={chain.offset}
-          delay={chain.delay}
-          explosionClass="SMALL"
-          showWreckage={false}
-        />
-      ))}
-      
-      {/* Secondary ground explosions */}
-      {secondaryExplosions.map(exp => (
-        <Explosion
-          key={exp.id}
-          position={exp.position.toArray()}
-          explosionClass="SMALL"
-          showWreckage={false}
-          onComplete={() => {
-            setSecondaryExplosions(prev => prev.filter(e => e.id !== exp.id));
-          }}
-        />
-      ))}
-    </group>
-  );
+  return <group ref={groupRef} position={position} />;
 }
 
+const Explosion = withExplosionRuntime(ExplosionEffect);
+
 // ============================================================================
-// DELAYED EXPLOSION (FOR CHAIN EFFECTS)
+// EXPLOSION SEQUENCE PLAYER
 // ============================================================================
-function DelayedExplosion({ position, delay, explosionClass, showWreckage }) {
-  const [triggered, setTriggered] = useState(false);
-  
+// Starts one useExplosionManager sequence on the runtime's engine, which
+// steps it on the simulation clock like its explosions
+function ExplosionSequencePlayer({ sequence }) {
+  const engine = useExplosionRuntime();
+
   useEffect(() => {
-    const timer = setTimeout(() => setTriggered(true), delay);
-    return () => clearTimeout(timer);
-  }, [delay]);
-  
-  if (!triggered) return null;
-  
-  return (
-    <Explosion
-      position={position instanceof Vector3 ? position.toArray() : position}
-      explosionClass={explosionClass}
-      showWreckage={showWreckage}
-    />
-  );
+    sequence.start(engine);
+  }, [engine, sequence]);
+
+  return null;
 }
 
 // ============================================================================
@@ -727,14 +915,36 @@ function DelayedExplosion({ position, delay, explosionClass, showWreckage }) {
 // ============================================================================
 function useExplosionManager() {
   const [explosions, setExplosions] = useState([]);
+  // Simulation speed for ExplosionRenderer: 0 pauses, <1 slow-mo, >1 fast-forward
+  const [timeScale, setTimeScale] = useState(1);
   const explosionIdRef = useRef(0);
+  // Things explosions can damage; shared by every explosion of this manager
+  const [blastTargets] = useState(createBlastTargets);
+  const [events] = useState(createExplosionEvents);
+  // Sequences waiting for or playing on the renderer's engine; the map
+  // keeps every one until released, for pause/cancel/progress
+  const [sequences, setSequences] = useState([]);
+  const sequenceIdRef = useRef(0);
+  const sequencesRef = useRef(new Map());
   
   const triggerExplosion = useCallback(({
-    position,
+    position = [0, 0, 0],
     forwardVector = new Vector3(0, 0, -1),
+    shape,
+    normal,
+    inheritVelocity,
+    attachTo,
+    point,
     explosionClass = 'MEDIUM',
     showWreckage = true,
+    showFlash = true,
+    showSecondary = true,
+    afterburn,
+    environment,
     groundY = EXPLOSION_CONFIG.WRECKAGE.GROUND_Y,
+    seed = createSeed(),
+    wreckage,
+    onBlast,
   }) => {
     const id = explosionIdRef.current++;
     
@@ -742,83 +952,297 @@ function useExplosionManager() {
       id,
       position: position instanceof Vector3 ? position.clone() : new Vector3(...position),
       forwardVector: forwardVector instanceof Vector3 ? forwardVector.clone() : new Vector3(...forwardVector),
+      shape,
+      normal: normal && (normal instanceof Vector3 ? normal.clone() : new Vector3(...normal)),
+      inheritVelocity: inheritVelocity && (inheritVelocity instanceof Vector3 ? inheritVelocity.clone() : new Vector3(...inheritVelocity)),
+      attachTo,
+      point,
       explosionClass,
       showWreckage,
+      showFlash,
+      showSecondary,
+      afterburn,
+      environment,
       groundY,
+      seed,
+      wreckage,
+      blastTargets,
+      onBlast,
+      onEvent: events.emit,
     }]);
     
     return id;
-  }, []);
+  }, [blastTargets, events]);
   
   const removeExplosion = useCallback((id) => {
     setExplosions(prev => prev.filter(e => e.id !== id));
   }, []);
+
+  /**
+   * Play an explosion sequence ({ name, steps }) and return its id. Steps
+   * are placed relative to `anchor` (an Object3D, optional) with `position`
+   * as the origin, local to it. `onStep(event, explosionId)` runs for every
+   * step and `onComplete(id)` after the last; other options are passed to
+   * each triggerExplosion. Throws ExplosionSequenceError when invalid.
+   * The renderer's engine plays it (ExplosionEngine.playSequence), with
+   * every step triggered through this manager.
+   */
+  const playSequence = useCallback((sequence, {
+    seed = createSeed(),
+    onStep,
+    onComplete,
+    ...options
+  } = {}) => {
+    // Validates now; reports progress until the renderer starts it
+    const state = createSequenceState(sequence, { seed });
+    const id = sequenceIdRef.current++;
+    const entry = { id, state, engine: null, runtimeId: null };
+    entry.start = (engine) => {
+      if (entry.engine || state.cancelled) return;
+      entry.engine = engine;
+      entry.runtimeId = engine.playSequence(sequence, {
+        ...options,
+        seed,
+        trigger: triggerExplosion,
+        onEvent: event => events.emit({ ...event, id }),
+        onStep: onStep && ((event, explosionId) => onStep({ ...event, id }, explosionId)),
+        onComplete: () => {
+          setSequences(prev => prev.filter(s => s !== entry));
+          onComplete?.(id);
+        },
+      });
+      if (state.paused) engine.pauseSequence(entry.runtimeId);
+    };
+    sequencesRef.current.set(id, entry);
+    setSequences(prev => [...prev, entry]);
+    return id;
+  }, [triggerExplosion, events]);
+
+  const pauseSequence = useCallback((id) => {
+    const entry = sequencesRef.current.get(id);
+    if (entry?.engine) entry.engine.pauseSequence(entry.runtimeId);
+    else if (entry) entry.state.paused = true;
+  }, []);
+
+  const resumeSequence = useCallback((id) => {
+    const entry = sequencesRef.current.get(id);
+    if (entry?.engine) entry.engine.resumeSequence(entry.runtimeId);
+    else if (entry) entry.state.paused = false;
+  }, []);
+
+  // Explosions the sequence already triggered play out
+  const cancelSequence = useCallback((id) => {
+    const entry = sequencesRef.current.get(id);
+    if (!entry) return;
+    if (entry.engine) entry.engine.cancelSequence(entry.runtimeId);
+    else entry.state.cancelled = true;
+    setSequences(prev => prev.filter(s => s !== entry));
+  }, []);
+
+  // Forget a sequence, cancelling it if it is still playing
+  const releaseSequence = useCallback((id) => {
+    const entry = sequencesRef.current.get(id);
+    if (!entry) return;
+    cancelSequence(id);
+    entry.engine?.releaseSequence(entry.runtimeId);
+    sequencesRef.current.delete(id);
+  }, [cancelSequence]);
+
+  // { time, duration, progress, fired, total, paused, cancelled, done }, or
+  // null for an unknown id; finished and cancelled sequences stay readable
+  // until released
+  const getProgress = useCallback((id) => {
+    const entry = sequencesRef.current.get(id);
+    if (!entry) return null;
+    return entry.engine ? entry.engine.getSequenceProgress(entry.runtimeId) : getSequenceProgress(entry.state);
+  }, []);
   
   const clearAllExplosions = useCallback(() => {
+    sequencesRef.current.forEach(entry => {
+      if (entry.engine) entry.engine.releaseSequence(entry.runtimeId);
+      else entry.state.cancelled = true;
+    });
+    sequencesRef.current.clear();
+    setSequences([]);
     setExplosions([]);
   }, []);
   
+  /**
+   * Registered targets within `radius` of `position`, with damage and
+   * knockback. Pass `explosionClass` to use that class's blast settings, or
+   * `damage` / `impulse` / `falloff` directly.
+   */
+  const queryBlast = useCallback((position, radius, { explosionClass, ...options } = {}) => {
+    const origin = position instanceof Vector3 ? position : new Vector3(...position);
+    const config = explosionClass ? resolveExplosionClass(explosionClass) : null;
+    return blastTargets.query(
+      origin,
+      radius ?? config?.blastRadius ?? 0,
+      { ...(config && getBlastOptions(config)), ...options }
+    );
+  }, [blastTargets]);
+  
   return {
     explosions,
     triggerExplosion,
     removeExplosion,
     clearAllExplosions,
+    sequences,
+    playSequence,
+    pauseSequence,
+    resumeSequence,
+    cancelSequence,
+    releaseSequence,
+    getSequenceProgress: getProgress,
+    timeScale,
+    setTimeScale,
+    registerTarget: blastTargets.register,
+    unregisterTarget: blastTargets.unregister,
+    queryBlast,
+    // Lifecycle events: on(type, listener) returns an unsubscribe function
+    on: events.on,
+    off: events.off,
   };
 }
 
 // ============================================================================
 // EXPLOSION RENDERER COMPONENT
 // ============================================================================
-function ExplosionRenderer({ explosions, onExplosionComplete }) {
+function ExplosionRenderer({ 
+  explosions, 
+  sequences = [],
+  onExplosionComplete, 
+  timeScale = 1,
+  colliders,
+  getGroundHeight,
+  decals,
+  audio,
+  postEffects,
+  cameraShake,
+  quality,
+  softParticles,
+  sprites,
+  forces,
+  environment,
+  onStats,
+}) {
   return (
-    <>
+    <ExplosionRuntimeProvider 
+      timeScale={timeScale} 
+      colliders={colliders} 
+      getGroundHeight={getGroundHeight}
+      decals={decals}
+      audio={audio}
+      postEffects={postEffects}
+      cameraShake={cameraShake}
+      quality={quality}
+      softParticles={softParticles}
+      sprites={sprites}
+      forces={forces}
+      environment={environment}
+      onStats={onStats}
+    >
       {explosions.map(explosion => (
         <Explosion
           key={explosion.id}
           position={explosion.position.toArray()}
           forwardVector={explosion.forwardVector}
+          shape={explosion.shape}
+          normal={explosion.normal}
+          inheritVelocity={explosion.inheritVelocity}
+          attachTo={explosion.attachTo}
+          point={explosion.point}
           explosionClass={explosion.explosionClass}
           showWreckage={explosion.showWreckage}
+          showFlash={explosion.showFlash}
+          showSecondary={explosion.showSecondary}
+          afterburn={explosion.afterburn}
+          environment={explosion.environment}
           groundY={explosion.groundY}
+          seed={explosion.seed}
+          wreckage={explosion.wreckage}
+          blastTargets={explosion.blastTargets}
+          onBlast={explosion.onBlast && ((hits, blast) => explosion.onBlast(hits, { ...blast, id: explosion.id }))}
+          onEvent={explosion.onEvent && (event => explosion.onEvent({ ...event, id: explosion.id }))}
           onComplete={() => onExplosionComplete?.(explosion.id)}
         />
       ))}
-    </>
+      {sequences.map(sequence => (
+        <ExplosionSequencePlayer key={sequence.id} sequence={sequence} />
+      ))}
+    </ExplosionRuntimeProvider>
   );
 }
 
 // ============================================================================
 // CAMERA SHAKE COMPONENT
 // ============================================================================
-function CameraShake({ intensity = 0, duration = 300 }) {
-  const { camera } = useThree();
-  const startTime = useRef(null);
-  const originalPosition = useRef(null);
-  
+/**
+ * Trauma-based camera shake. Trauma (0-1) is added by `intensity` pulses and,
+ * inside an explosion runtime, by every explosion according to its class
+ * `cameraShake` and distance to the camera. It decays by `decay` per second
+ * and the shake grows with trauma squared, so overlapping explosions stack.
+ * The offset is applied only while the scene renders and removed right after,
+ * so the camera's own movement is never overwritten.
+ */
+function CameraShake({
+  intensity = 0,
+  decay = EXPLOSION_CONFIG.CAMERA_SHAKE.DECAY,
+  maxOffset = EXPLOSION_CONFIG.CAMERA_SHAKE.MAX_OFFSET,
+  maxRotation = EXPLOSION_CONFIG.CAMERA_SHAKE.MAX_ROTATION,
+  frequency = EXPLOSION_CONFIG.CAMERA_SHAKE.FREQUENCY,
+  refDistance = EXPLOSION_CONFIG.CAMERA_SHAKE.REF_DISTANCE,
+}) {
+  const { camera, scene } = useThree();
+  const runtime = useExplosionRuntime();
+  const scopedClasses = useContext(ExplosionConfigContext);
+  const shake = useMemo(() => createCameraShake(), []);
+  Object.assign(shake, { decay, maxOffset, maxRotation, frequency, refDistance });
+
   useEffect(() => {
-    if (intensity > 0) {
-      startTime.current = Date.now();
-      originalPosition.current = camera.position.clone();
-    }
-  }, [intensity, camera]);
-  
-  useFrame(() => {
-    if (!startTime.current || !originalPosition.current) return;
-    
-    const elapsed = Date.now() - startTime.current;
-    const progress = elapsed / duration;
-    
-    if (progress >= 1) {
-      camera.position.copy(originalPosition.current);
-      startTime.current = null;
-      return;
-    }
-    
-    const shake = intensity * (1 - progress);
-    camera.position.x = originalPosition.current.x + randomSpread(shake);
-    camera.position.y = originalPosition.current.y + randomSpread(shake);
-  });
-  
+    if (intensity > 0) addCameraTrauma(shake, intensity);
+  }, [intensity]);
+
+  // Explosions add their class `cameraShake`, sequence steps their own `shake`
+  useEffect(() => {
+    if (!runtime) return;
+    const listener = (event) => shakeFromEvent(shake, event, camera, scopedClasses);
+    const offStart = runtime.events.on('start', listener);
+    const offStep = runtime.events.on('sequenceStep', listener);
+    return () => {
+      offStart();
+      offStep();
+    };
+  }, [runtime, camera, scopedClasses]);
+
+  // Wraps the scene's render hooks; earlier handlers run first on the way in
+  // and last on the way out, so stacked shake layers restore in order
+  useEffect(() => {
+    const previousBefore = scene.onBeforeRender;
+    const previousAfter = scene.onAfterRender;
+    let installed = true;
+
+    const before = (...args) => {
+      previousBefore.apply(scene, args);
+      if (installed && args[2] === camera) applyCameraShake(shake, camera);
+    };
+
+    const after = (...args) => {
+      restoreCameraShake(shake, camera);
+      previousAfter.apply(scene, args);
+    };
+
+    scene.onBeforeRender = before;
+    scene.onAfterRender = after;
+    return () => {
+      installed = false;
+      if (scene.onBeforeRender === before) scene.onBeforeRender = previousBefore;
+      if (scene.onAfterRender === after) scene.onAfterRender = previousAfter;
+    };
+  }, [scene, camera]);
+
+  useSimulationFrame((state, delta) => stepCameraShake(shake, delta));
+
   return null;
 }
 
@@ -851,15 +1275,14 @@ function TestEnemy({ position, onDestroy }) {
 // ============================================================================
 // DEMO SCENE COMPONENT
 // ============================================================================
-function DemoScene({ explosionTrigger, explosionClass, showWreckage }) {
-  const { triggerExplosion, explosions, removeExplosion } = useExplosionManager();
-  const [cameraShakeIntensity, setCameraShakeIntensity] = useState(0);
+function DemoScene({ explosionTrigger, explosionClass, showWreckage, simulationSpeed = 1 }) {
+  const { triggerExplosion, explosions, removeExplosion, timeScale, setTimeScale } = useExplosionManager();
   const [enemy, setEnemy] = useState({ visible: true, position: new Vector3(0, 0, -15) });
   
   // Handle external trigger
   useEffect(() => {
     if (explosionTrigger > 0) {
-      const config = EXPLOSION_CONFIG.CLASSES[explosionClass];
+      const config = resolveExplosionClass(explosionClass);
       
       triggerExplosion({
         position: enemy.position.clone(),
@@ -869,16 +1292,18 @@ function DemoScene({ explosionTrigger, explosionClass, showWreckage }) {
       });
       
       setEnemy(prev => ({ ...prev, visible: false }));
-      setCameraShakeIntensity(config?.cameraShake || 0.25);
       
       // Respawn enemy after delay
       setTimeout(() => {
         setEnemy({ visible: true, position: new Vector3(0, 0, -15) });
-        setCameraShakeIntensity(0);
       }, config?.duration + 2000 || 3000);
     }
   }, [explosionTrigger, explosionClass, showWreckage, enemy.position, triggerExplosion]);
   
+  useEffect(() => {
+    setTimeScale(simulationSpeed);
+  }, [simulationSpeed, setTimeScale]);
+  
   return (
     <>
       {/* Lighting */}
@@ -916,10 +1341,12 @@ function DemoScene({ explosionTrigger, explosionClass, showWreckage }) {
       <ExplosionRenderer 
         explosions={explosions}
         onExplosionComplete={removeExplosion}
+        timeScale={timeScale}
+        decals
+        audio
+        postEffects
+        cameraShake
       />
-      
-      {/* Camera shake */}
-      <CameraShake intensity={cameraShakeIntensity} duration={500} />
     </>
   );
 }
@@ -931,6 +1358,7 @@ export default function ExplosionEngine() {
   const [trigger, setTrigger] = useState(0);
   const [explosionClass, setExplosionClass] = useState('MEDIUM');
   const [showWreckage, setShowWreckage] = useState(true);
+  const [simulationSpeed, setSimulationSpeed] = useState(1);
   
   return (
     <div style={{ width: '100%', height: '100vh', background: '#000011' }}>
@@ -943,6 +1371,7 @@ export default function ExplosionEngine() {
           explosionTrigger={trigger}
           explosionClass={explosionClass}
           showWreckage={showWreckage}
+          simulationSpeed={simulationSpeed}
         />
       </Canvas>
       
@@ -964,7 +1393,7 @@ export default function ExplosionEngine() {
             onChange={(e) => setExplosionClass(e.target.value)}
             style={{ background: '#1a1a2a', color: '#00ff88', border: '1px solid #00ff88', padding: 5 }}
           >
-            {Object.keys(EXPLOSION_CONFIG.CLASSES).map(cls => (
+            {getExplosionClassNames().map(cls => (
               <option key={cls} value={cls}>{cls}</option>
             ))}
           </select>
@@ -979,6 +1408,19 @@ export default function ExplosionEngine() {
             {' '}Show Wreckage
           </label>
         </div>
+        <div style={{ marginBottom: 10 }}>
+          <label>Time Scale: </label>
+          <select 
+            value={simulationSpeed}
+            onChange={(e) => setSimulationSpeed(Number(e.target.value))}
+            style={{ background: '#1a1a2a', color: '#00ff88', border: '1px solid #00ff88', padding: 5 }}
+          >
+            <option value={0}>Paused</option>
+            <option value={0.25}>0.25x</option>
+            <option value={1}>1x</option>
+            <option value={2}>2x</option>
+          </select>
+        </div>
         <button
           onClick={() => setTrigger(t => t + 1)}
           style={{
@@ -1010,6 +1452,22 @@ export {
   ExplosionParticle,
   SmokeParticle,
   CameraShake,
+  ExplosionRuntimeProvider,
   useExplosionManager,
+  useExplosionClock,
+  generateExplosion,
+  createRandom,
+  ExplosionConfigProvider,
+  useExplosionClass,
+  registerExplosionClass,
+  registerExplosionClasses,
+  unregisterExplosionClass,
+  resolveExplosionClass,
+  validateExplosionClass,
+  getExplosionClassNames,
+  ExplosionConfigError,
+  validateExplosionSequence,
+  ExplosionSequenceError,
+  createBlastTargets,
   EXPLOSION_CONFIG,
 };
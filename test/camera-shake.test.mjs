@@ -0,0 +1,43 @@
+// ============================================================================
+// CAMERA SHAKE TESTS
+// ============================================================================
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerspectiveCamera, Vector3 } from 'three';
+import {
+  createCameraShake,
+  addCameraTrauma,
+  shakeFromEvent,
+  stepCameraShake,
+  applyCameraShake,
+  restoreCameraShake,
+} from '../ExplosionCore.js';
+
+test('explosion events add trauma that falls off with distance and decays', () => {
+  const camera = new PerspectiveCamera();
+  const near = createCameraShake();
+  const far = createCameraShake();
+  shakeFromEvent(near, { type: 'start', explosionClass: 'LARGE', position: new Vector3(0, 0, -10) }, camera);
+  shakeFromEvent(far, { type: 'start', explosionClass: 'LARGE', position: new Vector3(0, 0, -80) }, camera);
+  assert.ok(near.trauma > 0);
+  assert.ok(Math.abs(far.trauma - near.trauma / 4) < 1e-9);
+
+  addCameraTrauma(near, 5);
+  assert.equal(near.trauma, 1);
+  stepCameraShake(near, 0.5);
+  assert.ok(Math.abs(near.trauma - 0.6) < 1e-9);
+});
+
+test('the shake is removed again after the render', () => {
+  const camera = new PerspectiveCamera();
+  camera.position.set(1, 2, 3);
+  const shake = createCameraShake();
+  addCameraTrauma(shake, 1);
+  stepCameraShake(shake, 0.1);
+
+  applyCameraShake(shake, camera);
+  assert.notDeepEqual(camera.position.toArray(), [1, 2, 3]);
+  restoreCameraShake(shake, camera);
+  assert.deepEqual(camera.position.toArray(), [1, 2, 3]);
+  assert.deepEqual(camera.quaternion.toArray(), [0, 0, 0, 1]);
+});
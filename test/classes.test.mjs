@@ -0,0 +1,41 @@
+// ============================================================================
+// CLASS REGISTRY TESTS
+// ============================================================================
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  registerExplosionClass,
+  registerExplosionClasses,
+  unregisterExplosionClass,
+  getExplosionClassNames,
+  resolveExplosionClass,
+  ExplosionConfigError,
+} from '../ExplosionCore.js';
+
+test('batches may extend each other in any order', () => {
+  const [child, parent] = registerExplosionClasses({
+    BATCH_CHILD: { extends: 'BATCH_PARENT', particleCount: 12 },
+    BATCH_PARENT: { extends: 'LARGE', shockwaveScale: 9 },
+  });
+  assert.equal(child.shockwaveScale, 9);
+  assert.equal(child.particleCount, 12);
+  assert.equal(parent.name, 'BATCH_PARENT');
+  unregisterExplosionClass('BATCH_CHILD');
+  unregisterExplosionClass('BATCH_PARENT');
+});
+
+test('a batch with a broken extends chain leaves the registry untouched', () => {
+  registerExplosionClass('KEPT', { extends: 'SMALL', particleCount: 7 });
+  const before = getExplosionClassNames();
+
+  assert.throws(() => registerExplosionClasses({
+    KEPT: { extends: 'MEDIUM', particleCount: 99 },
+    LOOP_A: { extends: 'LOOP_B' },
+    LOOP_B: { extends: 'LOOP_A' },
+  }), ExplosionConfigError);
+  assert.throws(() => registerExplosionClasses({ ORPHAN: { extends: 'MISSING' } }), ExplosionConfigError);
+
+  assert.deepEqual(getExplosionClassNames(), before);
+  assert.equal(resolveExplosionClass('KEPT').particleCount, 7);
+  unregisterExplosionClass('KEPT');
+});
@@ -0,0 +1,47 @@
+// ============================================================================
+// DETERMINISM TESTS
+// ============================================================================
+// Lockstep clients rely on a seed reproducing an explosion exactly, so these
+// compare whole plans and simulation streams between runs.
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateExplosion, createExplosionState, stepExplosion } from '../ExplosionCore.js';
+
+const STEP = 1 / 60;
+
+// Every request a simulation publishes, step by step, plus where its
+// wreckage ends up
+const record = (options, steps = 240) => {
+  const state = createExplosionState(options);
+  const stream = [];
+  for (let i = 0; i < steps && !state.done; i++) stream.push(stepExplosion(state, STEP));
+  return { stream, wreckage: state.wreckage.map(piece => piece.position.toArray()) };
+};
+
+test('the same seed generates the same plan', () => {
+  for (const explosionClass of ['SMALL', 'MEDIUM', 'LARGE', 'BOSS']) {
+    const first = generateExplosion({ explosionClass, seed: 'net-42' });
+    // Other explosions in between must not disturb the stream
+    generateExplosion({ explosionClass, seed: 7 });
+    generateExplosion({ explosionClass });
+    assert.deepEqual(generateExplosion({ explosionClass, seed: 'net-42' }), first, explosionClass);
+  }
+});
+
+test('the same seed steps through the same events and particles', () => {
+  const options = { explosionClass: 'BOSS', seed: 1234, groundY: -5, inheritVelocity: [4, 0, -2] };
+  const first = record(options);
+  record({ ...options, seed: 99 });
+  const second = record(options);
+
+  assert.ok(first.stream.some(output => output.events.length && output.particles.length));
+  assert.deepEqual(second, first);
+});
+
+test('different seeds give different explosions', () => {
+  const a = generateExplosion({ explosionClass: 'LARGE', seed: 1 });
+  const b = generateExplosion({ explosionClass: 'LARGE', seed: 2 });
+  assert.notDeepEqual(a.particles, b.particles);
+  assert.notDeepEqual(a.wreckage, b.wreckage);
+  assert.notDeepEqual(record({ explosionClass: 'LARGE', seed: 1 }), record({ explosionClass: 'LARGE', seed: 2 }));
+});
@@ -0,0 +1,47 @@
+// ============================================================================
+// ENVIRONMENT TESTS
+// ============================================================================
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene } from 'three';
+import {
+  ExplosionEngine,
+  resolveEmitterLayer,
+  resolveEnvironment,
+  applyEnvironment,
+  EXPLOSION_CONFIG,
+} from '../ExplosionCore.js';
+
+const smokeAfterEffect = (environment) => {
+  const engine = new ExplosionEngine(new Scene(), { environment });
+  engine.triggerEffect('smoke', [0, 0, 0]);
+  for (let i = 0; i < 64; i++) engine.update(1 / 64);
+  return engine.particles.count;
+};
+
+test('the smoke effect follows the engine environment', () => {
+  assert.ok(smokeAfterEffect('air') > 0);
+  assert.ok(smokeAfterEffect('water') > 0);
+  assert.equal(smokeAfterEffect('vacuum'), 0);
+});
+
+test('smoke layers keep their own settings when the medium replaces them', () => {
+  const layer = resolveEmitterLayer({
+    type: 'column',
+    count: 6,
+    colors: ['#ff00ff'],
+    render: 'billboard',
+    sprite: 'puff',
+    wind: [1, 0, 0],
+    forces: 0.5,
+  });
+  const bubbles = applyEnvironment(layer, resolveEnvironment({ preset: 'water', tint: null }));
+
+  assert.equal(bubbles.type, 'bubble');
+  assert.deepEqual(bubbles.colors, EXPLOSION_CONFIG.PARTICLES.COLORS.BUBBLE);
+  assert.equal(bubbles.gravity, EXPLOSION_CONFIG.PARTICLES.TYPES.bubble.gravity);
+  assert.deepEqual(
+    [bubbles.count, bubbles.render, bubbles.sprite, bubbles.wind, bubbles.forces],
+    [6, 'billboard', 'puff', [1, 0, 0], 0.5]
+  );
+});
@@ -0,0 +1,70 @@
+// ============================================================================
+// HEADLESS SIMULATION TESTS
+// ============================================================================
+// Run with `node --test test/` (needs only three installed).
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createExplosionState,
+  stepExplosion,
+  registerExplosionClass,
+  unregisterExplosionClass,
+} from '../ExplosionCore.js';
+
+const STEP = 1 / 60;
+
+// Step an explosion to completion, collecting every event it publishes
+const runExplosion = (options, maxTime = 60) => {
+  const state = createExplosionState(options);
+  const events = [];
+  let time = 0;
+  while (!state.done && time < maxTime) {
+    events.push(...stepExplosion(state, STEP).events);
+    time += STEP;
+  }
+  return { state, events, time };
+};
+
+const countEvents = (events, type) => events.filter(event => event.type === type).length;
+
+test('every explosion that starts also completes', () => {
+  for (const explosionClass of ['SMALL', 'MEDIUM', 'LARGE', 'BOSS']) {
+    const { state, events } = runExplosion({ explosionClass, seed: 11, groundY: -5 });
+    assert.ok(state.done, `${explosionClass} finished`);
+    assert.ok(countEvents(events, 'start') > 1 || explosionClass === 'SMALL', `${explosionClass} spawned nested explosions`);
+    assert.equal(countEvents(events, 'complete'), countEvents(events, 'start'), explosionClass);
+  }
+});
+
+test('a parent completes after its chain and secondary explosions', () => {
+  const { events } = runExplosion({ explosionClass: 'LARGE', seed: 11, groundY: -5 });
+  const last = events.filter(event => event.type === 'complete').at(-1);
+  assert.equal(last.depth, 0);
+  assert.equal(events.at(-1), last);
+});
+
+test('BOSS class fires exactly 5 chain explosions by t=1.0s', () => {
+  const state = createExplosionState({ explosionClass: 'BOSS', seed: 7 });
+  const events = [];
+  // 1/64 s steps land exactly on 1000 ms
+  for (let i = 0; i < 64; i++) events.push(...stepExplosion(state, 1 / 64).events);
+  assert.equal(countEvents(events, 'chainExplosion'), 5);
+});
+
+test('smoke columns keep the smoke share of inherited velocity', () => {
+  registerExplosionClass('COLUMN_ONLY', {
+    extends: 'SMALL',
+    emitters: [{ type: 'column', count: 4 }],
+    velocityInheritance: { smoke: 0.2, particles: 0.9 },
+  });
+  const spawn = (inheritVelocity) =>
+    stepExplosion(createExplosionState({ explosionClass: 'COLUMN_ONLY', seed: 3, inheritVelocity }), STEP)
+      .particles.filter(particle => particle.layer.type === 'column');
+  const still = spawn([0, 0, 0]);
+  const moving = spawn([10, 0, 0]);
+  assert.equal(moving.length, 4);
+  moving.forEach((particle, i) => {
+    assert.ok(Math.abs(particle.velocity.x - still[i].velocity.x - 2) < 1e-9);
+  });
+  unregisterExplosionClass('COLUMN_ONLY');
+});
@@ -0,0 +1,44 @@
+// ============================================================================
+// QUALITY BUDGET TESTS
+// ============================================================================
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PerspectiveCamera, Scene } from 'three';
+import { ExplosionEngine } from '../ExplosionCore.js';
+
+// Everything gameplay sees of one explosion, played on an engine whose
+// camera sits `distance` away
+const play = (quality, distance) => {
+  const camera = new PerspectiveCamera();
+  camera.position.set(0, 0, distance);
+  const engine = new ExplosionEngine(new Scene(), { camera, quality });
+  for (let i = 0; i < 12; i++) {
+    const angle = (i / 12) * Math.PI * 2;
+    engine.registerTarget(i, { position: [Math.cos(angle) * 6, -5, Math.sin(angle) * 6], radius: 2 });
+  }
+
+  const events = [];
+  const hits = [];
+  engine.on('*', event => events.push(event));
+  engine.triggerExplosion({
+    position: [0, 0, 0],
+    explosionClass: 'BOSS',
+    seed: 21,
+    groundY: -5,
+    onBlast: (blastHits, blast) => hits.push(...blastHits.map(hit => [blast.explosionClass, hit.id, hit.damage])),
+  });
+  for (let i = 0; i < 64 * 12 && engine.stats.activeExplosions; i++) engine.update(1 / 64);
+  return { events, hits, culled: engine.stats.culled };
+};
+
+test('quality and camera distance only change what is drawn', () => {
+  const near = play('high', 5);
+  const far = play('low', 500);
+
+  assert.ok(far.culled.wreckage > 0 && far.culled.shockwaves > 0);
+  assert.equal(near.culled.wreckage, 0);
+  assert.ok(near.events.some(event => event.type === 'secondaryExplosion'));
+  assert.deepEqual(far.events, near.events);
+  assert.ok(near.hits.length > 12);
+  assert.deepEqual(far.hits, near.hits);
+});
@@ -0,0 +1,78 @@
+// ============================================================================
+// EXPLOSION SEQUENCE TESTS
+// ============================================================================
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scene } from 'three';
+import { ExplosionEngine, createSequenceState, stepSequence } from '../ExplosionCore.js';
+
+const SEQUENCE = {
+  name: 'test',
+  steps: [
+    { at: 0, explosionClass: 'SMALL' },
+    { delay: 250, explosionClass: 'SMALL', repeat: 3, interval: 250 },
+    { at: 1500, cue: 'done' },
+  ],
+};
+
+const runFor = (engine, seconds) => {
+  for (let i = 0; i < seconds * 64; i++) engine.update(1 / 64);
+};
+
+test('steps fire in order on the sequence clock', () => {
+  const state = createSequenceState(SEQUENCE, { seed: 1 });
+  const fired = [];
+  for (let i = 0; i < 128; i++) fired.push(...stepSequence(state, 1 / 64).map(entry => entry.time));
+  assert.deepEqual(fired, [0, 250, 500, 750, 1500]);
+  assert.ok(state.done);
+});
+
+test('finished sequences stay readable until released', () => {
+  const engine = new ExplosionEngine(new Scene());
+  const id = engine.playSequence(SEQUENCE, { seed: 1 });
+  runFor(engine, 2);
+
+  const progress = engine.getSequenceProgress(id);
+  assert.equal(progress.done, true);
+  assert.equal(progress.progress, 1);
+  assert.equal(progress.fired, 5);
+
+  engine.releaseSequence(id);
+  assert.equal(engine.getSequenceProgress(id), null);
+});
+
+test('cancelled sequences stop firing and report it', () => {
+  const engine = new ExplosionEngine(new Scene());
+  let completed = 0;
+  const id = engine.playSequence(SEQUENCE, { seed: 1, onComplete: () => completed++ });
+  runFor(engine, 0.5);
+  engine.cancelSequence(id);
+  const { fired } = engine.getSequenceProgress(id);
+  runFor(engine, 2);
+
+  const progress = engine.getSequenceProgress(id);
+  assert.equal(progress.cancelled, true);
+  assert.equal(progress.done, false);
+  assert.equal(progress.fired, fired);
+  assert.equal(completed, 0);
+});
+
+test('steps can be triggered through a custom trigger', () => {
+  const engine = new ExplosionEngine(new Scene());
+  const triggered = [];
+  const steps = [];
+  engine.playSequence(SEQUENCE, {
+    seed: 1,
+    groundY: -3,
+    trigger: (options) => {
+      triggered.push(options);
+      return 99 + triggered.length;
+    },
+    onStep: (event, explosionId) => steps.push(explosionId),
+  });
+  runFor(engine, 2);
+
+  assert.equal(engine.stats.activeExplosions, 0);
+  assert.deepEqual(triggered.map(options => [options.explosionClass, options.groundY]), Array(4).fill(['SMALL', -3]));
+  assert.deepEqual(steps, [100, 101, 102, 103, null]);
+});